@@ -0,0 +1,497 @@
+/**
+ * Chart Controls Component
+ * Chart type, volume, indicator and oscillator pane controls shared by stock cards
+ * and the chart modal. Settings are saved per symbol through ChartManager preferences.
+ */
+
+class ChartControls {
+    /**
+     * @param {string} symbol - Stock symbol the settings belong to
+     * @param {HTMLElement} toolbar - Element receiving the control buttons
+     * @param {HTMLElement} panels - Element receiving the settings panels
+     * @param {Object} options - { getChart: () => ChartManager|null }
+     */
+    constructor(symbol, toolbar, panels, options = {}) {
+        this.symbol = symbol;
+        this.toolbar = toolbar;
+        this.panels = panels;
+        this.options = {
+            getChart: () => null,
+            ...options
+        };
+
+        this.preferences = ChartManager.getPreferences(this.symbol);
+
+        this.init();
+    }
+
+    init() {
+        this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        this.toolbar.innerHTML = `
+            <select class="chart-type" title="Chart Type">
+                ${this.getChartTypeOptions()}
+            </select>
+            <input type="number" class="chart-brick-size" min="0" step="any" placeholder="ATR"
+                   title="Brick / Box Size (empty for ATR-based)" value="${this.getBrickSize() || ''}"
+                   style="width: 5em;${this.isBrickType(this.getChartType()) ? '' : ' display: none;'}">
+            <select class="chart-scale" title="Price Scale">
+                ${this.getScaleOptions()}
+            </select>
+            <button class="chart-volume-toggle ${this.isVolumeVisible() ? 'active' : ''}" title="Toggle Volume">Vol</button>
+            <button class="chart-extended-toggle ${this.isExtendedHoursVisible() ? 'active' : ''}" title="Toggle Pre-Market and After-Hours Bars">Ext</button>
+            <button class="chart-indicators-toggle" title="Indicators">Indicators</button>
+            <button class="chart-oscillators-toggle" title="Oscillator Panes">Panes</button>
+            <button class="chart-table-toggle ${this.isDataTableVisible() ? 'active' : ''}" title="Toggle Data Table"
+                    aria-pressed="${this.isDataTableVisible()}">Table</button>
+            ${this.getDrawingToolsTemplate()}
+            ${window.ChartExport ? ChartExport.getMenuTemplate() : ''}
+            <button class="chart-reset-zoom" title="Reset Zoom" style="display: none;">Reset Zoom</button>
+        `;
+
+        this.panels.innerHTML = `
+            <div class="chart-panel indicator-panel" style="display: none;">
+                ${this.getIndicatorPanelTemplate()}
+            </div>
+            <div class="chart-panel oscillator-panel" style="display: none;">
+                ${this.getOscillatorPanelTemplate()}
+            </div>
+        `;
+    }
+
+    getChartTypeOptions() {
+        const labels = {
+            line: 'Line',
+            area: 'Area',
+            candlestick: 'Candles',
+            ohlc: 'OHLC Bars',
+            'heikin-ashi': 'Heikin-Ashi',
+            renko: 'Renko',
+            pnf: 'Point & Figure'
+        };
+        const currentType = this.getChartType();
+
+        return ChartManager.getAvailableTypes().map(type => `
+            <option value="${type}" ${type === currentType ? 'selected' : ''}>${labels[type] || type}</option>
+        `).join('');
+    }
+
+    getScaleOptions() {
+        const labels = {
+            linear: 'Linear',
+            log: 'Log',
+            percent: '%'
+        };
+        const currentScale = this.getScale();
+
+        return STOCK_CONFIG.CHART.SCALES.map(scale => `
+            <option value="${scale}" ${scale === currentScale ? 'selected' : ''}>${labels[scale] || scale}</option>
+        `).join('');
+    }
+
+    getDrawingToolsTemplate() {
+        if (!window.ChartDrawings || !STOCK_CONFIG.FEATURES.CHART_DRAWINGS) return '';
+
+        const labels = {
+            hline: ['Line', 'Horizontal Price Line'],
+            trendline: ['Trend', 'Trendline'],
+            rectangle: ['Rect', 'Rectangle'],
+            text: ['Note', 'Text Note'],
+            erase: ['Erase', 'Erase Drawing']
+        };
+        const tools = [...STOCK_CONFIG.CHART.DRAWINGS.TOOLS, 'erase'];
+
+        return `
+            <span class="chart-drawing-tools">
+                ${tools.map(tool => {
+                    const [label, title] = labels[tool] || [tool, tool];
+                    return `<button class="chart-tool" data-tool="${tool}" title="${title}">${label}</button>`;
+                }).join('')}
+                <button class="chart-drawings-clear" title="Remove All Drawings">Clear</button>
+            </span>
+        `;
+    }
+
+    getIndicatorPanelTemplate() {
+        if (!window.ChartIndicators) return '';
+
+        const saved = this.getIndicatorSettings();
+
+        return ChartIndicators.getTypes('overlay').map(type => {
+            const definition = ChartIndicators.DEFINITIONS[type];
+            const setting = saved.find(item => item.type === type) || { enabled: false, params: {} };
+            const params = ChartIndicators.resolveParams(type, setting.params);
+
+            return `
+                <div class="indicator-row" data-indicator="${type}">
+                    <label>
+                        <input type="checkbox" class="indicator-enabled" ${setting.enabled ? 'checked' : ''}>
+                        ${definition.label}
+                    </label>
+                    ${this.getParamInputs(definition, params)}
+                </div>
+            `;
+        }).join('');
+    }
+
+    getOscillatorPanelTemplate() {
+        if (!window.ChartIndicators) return '';
+
+        const oscillators = this.getOscillatorSettings();
+        const canAdd = oscillators.length < STOCK_CONFIG.CHART.INDICATORS.MAX_PANES;
+
+        const rows = oscillators.map((oscillator, index) => {
+            const definition = ChartIndicators.DEFINITIONS[oscillator.type];
+            const params = ChartIndicators.resolveParams(oscillator.type, oscillator.params);
+
+            return `
+                <div class="oscillator-row" data-index="${index}" data-indicator="${oscillator.type}">
+                    <span class="oscillator-name">${definition.label}</span>
+                    ${this.getParamInputs(definition, params)}
+                    <button class="btn-pane-up" data-action="up" title="Move Up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn-pane-down" data-action="down" title="Move Down" ${index === oscillators.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="btn-pane-remove" data-action="remove" title="Remove Pane">×</button>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            ${rows || '<div class="no-oscillators">No oscillator panes</div>'}
+            <div class="oscillator-add">
+                <select class="oscillator-type" ${canAdd ? '' : 'disabled'}>
+                    ${ChartIndicators.getTypes('pane').map(type => `
+                        <option value="${type}">${ChartIndicators.DEFINITIONS[type].label}</option>
+                    `).join('')}
+                </select>
+                <button class="btn-pane-add" data-action="add" ${canAdd ? '' : 'disabled'}>Add Pane</button>
+            </div>
+        `;
+    }
+
+    getParamInputs(definition, params) {
+        return definition.params.map(param => `
+            <label>
+                ${param.label}
+                <input type="number" class="indicator-param" data-param="${param.name}"
+                       value="${params[param.name]}" min="${param.min}" max="${param.max}" step="${param.step}">
+            </label>
+        `).join('');
+    }
+
+    bindEvents() {
+        // Controls are re-rendered when settings change, so events are delegated
+        this.toolbar.addEventListener('change', (e) => {
+            if (e.target.classList.contains('chart-type')) {
+                this.changeChartType(e.target.value);
+            } else if (e.target.classList.contains('chart-brick-size')) {
+                this.changeBrickSize(parseFloat(e.target.value));
+            } else if (e.target.classList.contains('chart-scale')) {
+                this.changeScale(e.target.value);
+            } else if (e.target.classList.contains('chart-export')) {
+                // The select is an action menu; return it to its label afterwards
+                ChartExport.run(this.options.getChart(), e.target.value);
+                e.target.value = '';
+            }
+        });
+
+        this.toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.classList.contains('chart-volume-toggle')) {
+                this.toggleVolume();
+            } else if (button.classList.contains('chart-extended-toggle')) {
+                this.toggleExtendedHours();
+            } else if (button.classList.contains('chart-indicators-toggle')) {
+                this.togglePanel('.indicator-panel');
+            } else if (button.classList.contains('chart-oscillators-toggle')) {
+                this.togglePanel('.oscillator-panel');
+            } else if (button.classList.contains('chart-table-toggle')) {
+                this.toggleDataTable();
+            } else if (button.classList.contains('chart-tool')) {
+                this.selectTool(button.dataset.tool);
+            } else if (button.classList.contains('chart-drawings-clear')) {
+                this.clearDrawings();
+            } else if (button.classList.contains('chart-reset-zoom')) {
+                const chart = this.options.getChart();
+                if (chart) chart.resetZoom();
+            }
+        });
+
+        this.panels.addEventListener('change', (e) => {
+            if (e.target.closest('.indicator-panel')) {
+                this.updateIndicators();
+            } else if (e.target.classList.contains('indicator-param')) {
+                this.updateOscillatorParams(e.target.closest('.oscillator-row'));
+            }
+        });
+
+        this.panels.addEventListener('click', (e) => {
+            const button = e.target.closest('.oscillator-panel [data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'add') {
+                this.addOscillator(this.panels.querySelector('.oscillator-type').value);
+            } else {
+                this.moveOscillator(parseInt(button.closest('.oscillator-row').dataset.index), button.dataset.action);
+            }
+        });
+    }
+
+    /**
+     * Options to pass to a new ChartManager for the saved settings
+     * @returns {Object} { type, brickSize, scale, showVolume, showExtendedHours, showDataTable, indicators }
+     */
+    getChartOptions() {
+        return {
+            type: this.getChartType(),
+            brickSize: this.getBrickSize(),
+            scale: this.getScale(),
+            showVolume: this.isVolumeVisible(),
+            showExtendedHours: this.isExtendedHoursVisible(),
+            showDataTable: this.isDataTableVisible(),
+            indicators: this.getActiveIndicators()
+        };
+    }
+
+    /**
+     * Re-read saved settings (e.g. after another view of the same symbol changed them)
+     */
+    reload() {
+        this.preferences = ChartManager.getPreferences(this.symbol);
+        this.render();
+    }
+
+    save(changes) {
+        this.preferences = ChartManager.savePreferences(this.symbol, changes);
+    }
+
+    /**
+     * Reset per-chart control state after the chart is recreated
+     */
+    reset() {
+        this.setZoomed(false);
+        this.setActiveTool(null);
+    }
+
+    setZoomed(zoomed) {
+        this.toolbar.querySelector('.chart-reset-zoom').style.display = zoomed ? '' : 'none';
+    }
+
+    /**
+     * Toggle a drawing tool on the chart; selecting the active tool turns it off
+     * @param {string} tool - Drawing tool name
+     */
+    selectTool(tool) {
+        const chart = this.options.getChart();
+        if (!chart) return;
+
+        const active = this.toolbar.querySelector(`.chart-tool[data-tool="${tool}"]`).classList.contains('active');
+        chart.setDrawingTool(active ? null : tool);
+    }
+
+    /**
+     * Reflect the chart's active drawing tool in the toolbar
+     * @param {string|null} tool - Active tool
+     */
+    setActiveTool(tool) {
+        this.toolbar.querySelectorAll('.chart-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    clearDrawings() {
+        if (!confirm(`Remove all drawings for ${this.symbol}?`)) return;
+
+        const chart = this.options.getChart();
+        if (chart && chart.drawings) {
+            chart.drawings.clear();
+        } else {
+            ChartDrawings.save(this.symbol, []);
+        }
+    }
+
+    togglePanel(selector) {
+        const panel = this.panels.querySelector(selector);
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    changeChartType(type) {
+        this.save({ type });
+        this.toolbar.querySelector('.chart-brick-size').style.display = this.isBrickType(type) ? '' : 'none';
+
+        const chart = this.options.getChart();
+        if (chart) chart.setType(type);
+    }
+
+    getChartType() {
+        const type = this.preferences.type;
+        return type && ChartManager.getAvailableTypes().includes(type) ? type : STOCK_CONFIG.CHART.DEFAULT_TYPE;
+    }
+
+    isBrickType(type) {
+        return type === 'renko' || type === 'pnf';
+    }
+
+    /**
+     * Set the Renko brick / point-and-figure box size
+     * @param {number} size - Price amount; anything not positive means ATR-based sizing
+     */
+    changeBrickSize(size) {
+        const chart = this.options.getChart();
+        const minimum = chart ? chart.getMinBrickSize() : 0;
+
+        // Too small for this series: keep the current size and show the smallest accepted one
+        if (size > 0 && size < minimum) {
+            const input = this.toolbar.querySelector('.chart-brick-size');
+            input.value = this.getBrickSize() || '';
+            input.min = minimum;
+            Utils.log('warn', `Brick size ${size} is below the minimum of ${minimum}`);
+            return;
+        }
+
+        const brickSize = size > 0 ? size : null;
+        this.save({ brickSize });
+
+        if (chart) chart.setBrickSize(brickSize);
+    }
+
+    getBrickSize() {
+        return this.preferences.brickSize || null;
+    }
+
+    changeScale(scale) {
+        this.save({ scale });
+
+        const chart = this.options.getChart();
+        if (chart) chart.setScale(scale);
+    }
+
+    getScale() {
+        return this.preferences.scale || STOCK_CONFIG.CHART.DEFAULT_SCALE;
+    }
+
+    toggleVolume() {
+        const visible = !this.isVolumeVisible();
+        this.save({ volume: visible });
+        this.toolbar.querySelector('.chart-volume-toggle').classList.toggle('active', visible);
+
+        const chart = this.options.getChart();
+        if (chart) chart.setVolumeVisible(visible);
+    }
+
+    isVolumeVisible() {
+        return this.preferences.volume ?? STOCK_CONFIG.CHART.VOLUME.DEFAULT_VISIBLE;
+    }
+
+    toggleDataTable() {
+        const visible = !this.isDataTableVisible();
+        this.save({ dataTable: visible });
+
+        const button = this.toolbar.querySelector('.chart-table-toggle');
+        button.classList.toggle('active', visible);
+        button.setAttribute('aria-pressed', visible);
+
+        const chart = this.options.getChart();
+        if (chart) chart.setDataTableVisible(visible);
+    }
+
+    isDataTableVisible() {
+        return this.preferences.dataTable ?? false;
+    }
+
+    toggleExtendedHours() {
+        const visible = !this.isExtendedHoursVisible();
+        this.save({ extendedHours: visible });
+        this.toolbar.querySelector('.chart-extended-toggle').classList.toggle('active', visible);
+
+        const chart = this.options.getChart();
+        if (chart) chart.setExtendedHoursVisible(visible);
+    }
+
+    isExtendedHoursVisible() {
+        return this.preferences.extendedHours ?? STOCK_CONFIG.CHART.SESSIONS.SHOW_EXTENDED_BARS;
+    }
+
+    readParams(row) {
+        const params = {};
+        row.querySelectorAll('.indicator-param').forEach(input => {
+            params[input.dataset.param] = parseFloat(input.value);
+        });
+        return ChartIndicators.resolveParams(row.dataset.indicator, params);
+    }
+
+    updateIndicators() {
+        const indicators = Array.from(this.panels.querySelectorAll('.indicator-row')).map(row => ({
+            type: row.dataset.indicator,
+            enabled: row.querySelector('.indicator-enabled').checked,
+            params: this.readParams(row)
+        }));
+
+        this.save({ indicators });
+        this.applyIndicators();
+    }
+
+    getIndicatorSettings() {
+        return this.preferences.indicators || [];
+    }
+
+    getOscillatorSettings() {
+        return this.preferences.oscillators || [];
+    }
+
+    getActiveIndicators() {
+        return [
+            ...this.getIndicatorSettings().filter(item => item.enabled),
+            ...this.getOscillatorSettings()
+        ];
+    }
+
+    addOscillator(type) {
+        const oscillators = this.getOscillatorSettings();
+        if (oscillators.length >= STOCK_CONFIG.CHART.INDICATORS.MAX_PANES) return;
+
+        this.saveOscillators([...oscillators, { type, params: ChartIndicators.resolveParams(type) }]);
+    }
+
+    moveOscillator(index, action) {
+        const oscillators = this.getOscillatorSettings().slice();
+
+        if (action === 'remove') {
+            oscillators.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= oscillators.length) return;
+            [oscillators[index], oscillators[target]] = [oscillators[target], oscillators[index]];
+        }
+
+        this.saveOscillators(oscillators);
+    }
+
+    updateOscillatorParams(row) {
+        const oscillators = this.getOscillatorSettings().slice();
+        oscillators[parseInt(row.dataset.index)] = { type: row.dataset.indicator, params: this.readParams(row) };
+        this.saveOscillators(oscillators);
+    }
+
+    saveOscillators(oscillators) {
+        this.save({ oscillators });
+        this.panels.querySelector('.oscillator-panel').innerHTML = this.getOscillatorPanelTemplate();
+        this.applyIndicators();
+    }
+
+    applyIndicators() {
+        const chart = this.options.getChart();
+        if (chart) chart.setIndicators(this.getActiveIndicators());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartControls;
+} else {
+    window.ChartControls = ChartControls;
+}
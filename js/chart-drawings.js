@@ -0,0 +1,449 @@
+/**
+ * Chart Drawings
+ * Horizontal price lines, trendlines, rectangles and text notes drawn on a ChartManager.
+ * Drawings are anchored to time/price (or bar index for untimed data) so they stay in
+ * place across zoom, period changes and reloads, and are saved per symbol.
+ */
+
+class ChartDrawings {
+    /**
+     * @param {ChartManager} chart - Chart the drawings belong to
+     */
+    constructor(chart) {
+        this.chart = chart;
+        this.symbol = chart.options.symbol;
+        this.items = chart.options.headless ? [] : ChartDrawings.load(this.symbol); // Worker copies arrive with each frame
+        this.tool = null;           // Active tool, 'erase' or null
+        this.pending = null;        // Two-point drawing in progress
+        this.press = null;          // Pointer press started while a tool was active
+    }
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Saved drawings for a symbol
+     * @param {string} symbol - Stock symbol
+     * @returns {Array<Object>} Drawings { id, type, points, text, color }
+     */
+    static load(symbol) {
+        const all = Utils.getLocalStorage(STOCK_CONFIG.CACHE.KEYS.CHART_DRAWINGS, {});
+        return Array.isArray(all[symbol]) ? all[symbol] : [];
+    }
+
+    /**
+     * Persist the drawings for a symbol
+     * @param {string} symbol - Stock symbol
+     * @param {Array<Object>} drawings - Drawings to store
+     */
+    static save(symbol, drawings) {
+        const all = Utils.getLocalStorage(STOCK_CONFIG.CACHE.KEYS.CHART_DRAWINGS, {});
+
+        if (drawings.length > 0) {
+            all[symbol] = drawings;
+        } else {
+            delete all[symbol];
+        }
+
+        Utils.setLocalStorage(STOCK_CONFIG.CACHE.KEYS.CHART_DRAWINGS, all);
+    }
+
+    add(drawing) {
+        this.items.push({
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            ...drawing
+        });
+
+        const max = STOCK_CONFIG.CHART.DRAWINGS.MAX_PER_SYMBOL;
+        if (this.items.length > max) {
+            this.items = this.items.slice(-max);
+        }
+
+        ChartDrawings.save(this.symbol, this.items);
+        this.setTool(null);
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        ChartDrawings.save(this.symbol, this.items);
+        this.chart.render();
+    }
+
+    clear() {
+        this.items = [];
+        this.pending = null;
+        ChartDrawings.save(this.symbol, this.items);
+        this.chart.render();
+    }
+
+    // ==================== TOOLS ====================
+
+    /**
+     * Select the drawing tool; null returns the chart to pan/zoom
+     * @param {string|null} tool - One of STOCK_CONFIG.CHART.DRAWINGS.TOOLS, 'erase' or null
+     */
+    setTool(tool) {
+        const valid = STOCK_CONFIG.CHART.DRAWINGS.TOOLS.includes(tool) || tool === 'erase';
+
+        this.tool = valid ? tool : null;
+        this.pending = null;
+        this.chart.canvas.style.cursor = this.tool ? 'crosshair' : 'grab';
+        this.chart.render();
+
+        this.chart.canvas.dispatchEvent(new CustomEvent('chartToolChange', {
+            bubbles: true,
+            detail: { tool: this.tool }
+        }));
+    }
+
+    isActive() {
+        return this.tool !== null;
+    }
+
+    /**
+     * Mouse and touch handling while a tool is active. Two-point tools can be drawn
+     * by dragging or by clicking the start and end points.
+     */
+    bindEvents() {
+        const chart = this.chart;
+        const position = (clientX, clientY) => {
+            const rect = chart.canvas.getBoundingClientRect();
+            return { x: clientX - rect.left, y: clientY - rect.top };
+        };
+
+        chart.listen(chart.canvas, 'mousedown', (e) => {
+            if (!this.tool || e.button !== 0) return;
+
+            e.preventDefault();
+            this.pointerDown(position(e.clientX, e.clientY));
+        });
+
+        chart.listen(chart.canvas, 'mousemove', (e) => {
+            if (this.pending) this.pointerMove(position(e.clientX, e.clientY));
+        });
+
+        chart.listen(window, 'mouseup', (e) => {
+            if (!this.press) return;
+
+            // The click that follows would otherwise reach the card's expand handler
+            chart.suppressNextClick();
+            this.pointerUp(position(e.clientX, e.clientY));
+        });
+
+        chart.listen(chart.canvas, 'touchstart', (e) => {
+            if (!this.tool || e.touches.length !== 1) return;
+
+            e.preventDefault();
+            this.pointerDown(position(e.touches[0].clientX, e.touches[0].clientY));
+        }, { passive: false });
+
+        chart.listen(chart.canvas, 'touchmove', (e) => {
+            if (!this.pending || e.touches.length !== 1) return;
+
+            e.preventDefault();
+            this.pointerMove(position(e.touches[0].clientX, e.touches[0].clientY));
+        }, { passive: false });
+
+        chart.listen(chart.canvas, 'touchend', (e) => {
+            if (!this.press) return;
+
+            e.preventDefault();
+            const touch = e.changedTouches[0];
+            this.pointerUp(position(touch.clientX, touch.clientY));
+        });
+    }
+
+    isInPlot(x, y) {
+        const plot = this.chart.plot;
+        return plot && x >= plot.left && x <= plot.right && y >= plot.top && y <= plot.bottom;
+    }
+
+    pointerDown({ x, y }) {
+        if (!this.isInPlot(x, y)) return;
+
+        this.press = { x, y, tool: this.tool };
+
+        if (!ChartDrawings.isTwoPoint(this.tool)) return;
+
+        if (this.pending) {
+            // Second click of a click-click drawing
+            this.pending.points[1] = this.toAnchor(x, y);
+            this.pending.finishing = true;
+        } else {
+            const anchor = this.toAnchor(x, y);
+            this.pending = { type: this.tool, points: [anchor, anchor], moved: false, finishing: false };
+        }
+    }
+
+    pointerMove({ x, y }) {
+        if (this.press && Math.hypot(x - this.press.x, y - this.press.y) > STOCK_CONFIG.CHART.ZOOM.DRAG_THRESHOLD) {
+            this.pending.moved = true;
+        }
+
+        this.pending.points[1] = this.toAnchor(x, y);
+        this.chart.render();
+    }
+
+    pointerUp({ x, y }) {
+        const press = this.press;
+        this.press = null;
+        if (!press || press.tool !== this.tool) return;
+
+        switch (this.tool) {
+            case 'erase': {
+                const hit = this.hitTest(press.x, press.y);
+                if (hit) this.remove(hit.id);
+                break;
+            }
+            case 'hline':
+                this.add({ type: 'hline', points: [this.toAnchor(press.x, press.y)] });
+                break;
+            case 'text': {
+                const text = window.prompt('Note text');
+                if (text && text.trim()) {
+                    this.add({ type: 'text', points: [this.toAnchor(press.x, press.y)], text: text.trim() });
+                }
+                break;
+            }
+            default:
+                if (!this.pending) return;
+
+                // A plain click leaves the drawing open for a second click
+                if (this.pending.moved || this.pending.finishing) {
+                    if (this.isInPlot(x, y)) {
+                        this.pending.points[1] = this.toAnchor(x, y);
+                    }
+                    this.add({ type: this.pending.type, points: this.pending.points });
+                }
+        }
+    }
+
+    static isTwoPoint(tool) {
+        return tool === 'trendline' || tool === 'rectangle';
+    }
+
+    // ==================== COORDINATES ====================
+
+    /**
+     * Anchor for a canvas position
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {Object} { time, price } or { index, price } for untimed data
+     */
+    toAnchor(x, y) {
+        const chart = this.chart;
+        const index = chart.viewStart + (x - chart.plot.left) / chart.getBarSpacing() - 0.5;
+        const price = chart.yToPrice(y);
+        const time = this.indexToTime(index);
+
+        return time === null ? { index, price } : { time, price };
+    }
+
+    /**
+     * Time at a fractional bar index, interpolating between bars and
+     * extrapolating past either end from the nearest bar spacing
+     * @param {number} index - Fractional index into chart.points
+     * @returns {number|null} Milliseconds since epoch, null for untimed data
+     */
+    indexToTime(index) {
+        const points = this.chart.points;
+        if (points.length === 0 || points[0].time === null) return null;
+        if (points.length === 1) return points[0].time;
+
+        const i = Math.max(0, Math.min(points.length - 2, Math.floor(index)));
+        const a = points[i];
+        const b = points[i + 1];
+        return Math.round(a.time + (index - i) * (b.time - a.time));
+    }
+
+    /**
+     * Fractional bar index for a time; inverse of indexToTime
+     * @param {number} time - Milliseconds since epoch
+     * @returns {number|null} Fractional index, null for untimed data
+     */
+    timeToIndex(time) {
+        const points = this.chart.points;
+        if (points.length === 0 || points[0].time === null) return null;
+        if (points.length === 1) return 0;
+
+        // Last segment start at or before the time
+        let low = 0;
+        let high = points.length - 2;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (points[mid].time <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        const a = points[low];
+        const b = points[low + 1];
+        return low + (time - a.time) / ((b.time - a.time) || 1);
+    }
+
+    /**
+     * X position of an anchor
+     * @param {Object} anchor - Drawing anchor
+     * @returns {number|null} X coordinate, null when the anchor cannot be placed
+     */
+    anchorToX(anchor) {
+        const index = anchor.time !== undefined ? this.timeToIndex(anchor.time) : anchor.index;
+        if (index === null || index === undefined) return null;
+
+        // Keep far off-screen anchors within a range canvas paths handle well
+        return Math.max(-1e6, Math.min(1e6, this.chart.indexToX(index)));
+    }
+
+    /**
+     * Canvas positions for a drawing's anchors
+     * @param {Object} drawing - Drawing
+     * @returns {Array<Object>|null} [{ x, y }] or null if any anchor cannot be placed
+     */
+    project(drawing) {
+        const projected = drawing.points.map(anchor => ({
+            x: this.anchorToX(anchor),
+            y: this.chart.priceToY(anchor.price)
+        }));
+
+        // Horizontal lines only need a price
+        if (drawing.type === 'hline') return projected;
+
+        return projected.some(point => point.x === null) ? null : projected;
+    }
+
+    /**
+     * Topmost drawing near a canvas position
+     * @param {number} x - X coordinate in CSS pixels
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {Object|null} Drawing or null
+     */
+    hitTest(x, y) {
+        const tolerance = STOCK_CONFIG.CHART.DRAWINGS.HIT_TOLERANCE;
+
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const drawing = this.items[i];
+            const points = this.project(drawing);
+            if (!points) continue;
+
+            const [a, b] = points;
+            let hit = false;
+
+            switch (drawing.type) {
+                case 'hline':
+                    hit = Math.abs(y - a.y) <= tolerance;
+                    break;
+                case 'trendline':
+                    hit = ChartDrawings.distanceToSegment(x, y, a, b) <= tolerance;
+                    break;
+                case 'rectangle':
+                    hit = x >= Math.min(a.x, b.x) - tolerance && x <= Math.max(a.x, b.x) + tolerance &&
+                          y >= Math.min(a.y, b.y) - tolerance && y <= Math.max(a.y, b.y) + tolerance;
+                    break;
+                case 'text': {
+                    const width = this.chart.measureText(drawing.text);
+                    hit = x >= a.x - tolerance && x <= a.x + width + tolerance &&
+                          y >= a.y - 14 - tolerance && y <= a.y + tolerance;
+                    break;
+                }
+            }
+
+            if (hit) return drawing;
+        }
+
+        return null;
+    }
+
+    static distanceToSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared));
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Draw saved drawings and any drawing in progress on the price plot
+     */
+    draw() {
+        const chart = this.chart;
+        const ctx = chart.ctx;
+        const plot = chart.plot;
+        const drawings = this.pending ? [...this.items, this.pending] : this.items;
+        if (drawings.length === 0) return;
+
+        // Drawings without a color of their own follow the theme
+        const colors = chart.getColors();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(plot.left, plot.top, plot.width, plot.height);
+        ctx.clip();
+        ctx.lineWidth = STOCK_CONFIG.CHART.DRAWINGS.LINE_WIDTH;
+
+        const priceLabels = [];
+
+        drawings.forEach(drawing => {
+            const points = this.project(drawing);
+            if (!points) return;
+
+            const [a, b] = points;
+            ctx.strokeStyle = drawing.color || colors.DRAWING;
+            ctx.fillStyle = drawing.color || colors.DRAWING;
+
+            switch (drawing.type) {
+                case 'hline':
+                    ctx.beginPath();
+                    ctx.moveTo(plot.left, Math.round(a.y) + 0.5);
+                    ctx.lineTo(plot.right, Math.round(a.y) + 0.5);
+                    ctx.stroke();
+                    priceLabels.push(drawing);
+                    break;
+                case 'trendline':
+                    ctx.beginPath();
+                    ctx.moveTo(a.x, a.y);
+                    ctx.lineTo(b.x, b.y);
+                    ctx.stroke();
+                    break;
+                case 'rectangle':
+                    ctx.globalAlpha = STOCK_CONFIG.CHART.DRAWINGS.FILL_OPACITY;
+                    ctx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+                    ctx.globalAlpha = 1;
+                    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+                    break;
+                case 'text':
+                    ctx.font = STOCK_CONFIG.CHART.FONT;
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillRect(a.x - 2, a.y - 2, 4, 4);
+                    ctx.fillText(drawing.text, a.x + 4, a.y - 2);
+                    break;
+            }
+        });
+
+        ctx.restore();
+
+        // Price lines are labelled on the axis like the last price
+        const { step } = chart.getAxisTicks();
+        priceLabels.forEach(drawing => {
+            const y = Math.round(chart.priceToY(drawing.points[0].price));
+            if (y < plot.top || y > plot.bottom) return;
+
+            ctx.fillStyle = drawing.color || colors.DRAWING;
+            ctx.fillRect(plot.right + 1, y - 8, STOCK_CONFIG.CHART.PADDING.RIGHT - 1, 16);
+            ctx.fillStyle = colors.LABEL_TEXT;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(chart.formatAxisValue(drawing.points[0].price, step), plot.right + 6, y);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartDrawings;
+} else {
+    window.ChartDrawings = ChartDrawings;
+}
@@ -0,0 +1,217 @@
+/**
+ * Chart Export
+ * Saves the current view of a ChartManager (or ComparisonChart) as a PNG at a chosen
+ * scale or as an SVG. Images carry a header with the title, period, legend and export
+ * time, and are painted from the chart's render state so they match the screen
+ * whether the live chart paints on the page or in the chart worker.
+ */
+
+class ChartExport {
+    /**
+     * Export menu markup for chart toolbars
+     * @returns {string} HTML for a select whose values are passed to ChartExport.run
+     */
+    static getMenuTemplate() {
+        return `
+            <select class="chart-export" title="Export Chart">
+                <option value="">Export</option>
+                ${STOCK_CONFIG.CHART.EXPORT.SCALES.map(scale => `
+                    <option value="png:${scale}">PNG ${scale}x</option>
+                `).join('')}
+                <option value="svg">SVG</option>
+            </select>
+        `;
+    }
+
+    /**
+     * Run an export menu choice and download the result
+     * @param {ChartManager} chart - Chart to export
+     * @param {string} choice - 'png:<scale>' or 'svg'
+     */
+    static async run(chart, choice) {
+        if (!chart || !choice) return;
+
+        const [format, scale] = choice.split(':');
+
+        try {
+            if (format === 'svg') {
+                const svg = ChartExport.toSvg(chart);
+                ChartExport.download(new Blob([svg], { type: 'image/svg+xml' }), ChartExport.getFilename(chart, 'svg'));
+            } else {
+                const blob = await ChartExport.toPng(chart, parseFloat(scale) || 1);
+                ChartExport.download(blob, ChartExport.getFilename(chart, 'png'));
+            }
+        } catch (error) {
+            Utils.log('error', 'Chart export failed', error);
+            Utils.showNotification('Chart export failed', 'error');
+        }
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Render the chart as a PNG
+     * @param {ChartManager} chart - Chart to export
+     * @param {number} scale - Pixel density multiplier
+     * @returns {Promise<Blob>} PNG image
+     */
+    static toPng(chart, scale = 1) {
+        ChartExport.assertRenderable(chart);
+
+        const header = ChartExport.getHeader(chart);
+        const chartCanvas = document.createElement('canvas');
+        ChartExport.paintChart(chart, chartCanvas, scale);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(chart.width * scale);
+        canvas.height = Math.round((chart.height + header.height) * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ChartExport.drawHeader(ctx, chart.width, chart.height + header.height, header);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(chartCanvas, 0, Math.round(header.height * scale));
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), 'image/png');
+        });
+    }
+
+    /**
+     * Render the chart as an SVG document
+     * @param {ChartManager} chart - Chart to export
+     * @returns {string} SVG markup
+     */
+    static toSvg(chart) {
+        ChartExport.assertRenderable(chart);
+
+        const header = ChartExport.getHeader(chart);
+        const width = chart.width;
+        const height = chart.height + header.height;
+
+        const headerContext = new SvgContext(width, height, 'header');
+        ChartExport.drawHeader(headerContext, width, height, header);
+
+        const chartContext = new SvgContext(chart.width, chart.height, 'chart');
+        ChartExport.paintChart(chart, { width: 0, height: 0, getContext: () => chartContext }, 1);
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+            `${headerContext.getMarkup()}\n` +
+            `<g transform="translate(0 ${header.height})">\n${chartContext.getMarkup()}\n</g>\n</svg>`;
+    }
+
+    /**
+     * Paint the chart's current view onto another surface without hover or animation
+     * @param {ChartManager} chart - Source chart
+     * @param {HTMLCanvasElement|Object} canvas - Canvas, or canvas-like object providing getContext
+     * @param {number} pixelRatio - Output pixel density
+     */
+    static paintChart(chart, canvas, pixelRatio) {
+        const copy = new chart.constructor(canvas, { ...chart.getRenderOptions(), headless: true });
+        copy.paintState({ ...chart.getRenderState(true), pixelRatio, hover: null, animation: null });
+    }
+
+    static assertRenderable(chart) {
+        if (!chart.width || !chart.height || chart.points.length === 0) {
+            throw new Error('Chart has nothing to export');
+        }
+    }
+
+    // ==================== HEADER ====================
+
+    /**
+     * Lay out the header for a chart, wrapping legend entries to the image width
+     * @param {ChartManager} chart - Chart being exported
+     * @returns {Object} { title, subtitle, legend: [{ label, color, x, y }], height, colors }
+     */
+    static getHeader(chart) {
+        const padding = STOCK_CONFIG.CHART.EXPORT.HEADER_PADDING;
+        const info = chart.getExportInfo();
+        const period = chart.options.period ? `${chart.options.period} · ` : '';
+        const subtitle = `${period}Exported ${Utils.getCurrentTimestamp('locale')}`;
+
+        let x = padding;
+        let y = padding + 40;
+        const legend = info.legend.map(entry => {
+            const width = 12 + chart.measureText(entry.label) + 12;
+            if (x > padding && x + width > chart.width - padding) {
+                x = padding;
+                y += 16;
+            }
+
+            const item = { ...entry, x, y };
+            x += width;
+            return item;
+        });
+
+        const height = (legend.length > 0 ? y + 16 : padding + 40) + padding;
+        return { title: info.title, subtitle, legend, height, colors: chart.getColors() };
+    }
+
+    /**
+     * Fill the image background and draw the header text
+     * @param {CanvasRenderingContext2D|SvgContext} ctx - Target context, in CSS pixels
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} header - Layout from getHeader
+     */
+    static drawHeader(ctx, width, height, header) {
+        const config = STOCK_CONFIG.CHART.EXPORT;
+        const colors = header.colors;
+        const padding = config.HEADER_PADDING;
+
+        ctx.fillStyle = colors.BACKGROUND;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = colors.TITLE;
+        ctx.font = config.TITLE_FONT;
+        ctx.fillText(header.title, padding, padding);
+
+        ctx.font = STOCK_CONFIG.CHART.FONT;
+        ctx.fillStyle = colors.TEXT;
+        ctx.fillText(header.subtitle, padding, padding + 22);
+
+        header.legend.forEach(item => {
+            ctx.fillStyle = item.color;
+            ctx.fillRect(item.x, item.y + 2, 8, 8);
+            ctx.fillStyle = colors.TITLE;
+            ctx.fillText(item.label, item.x + 12, item.y);
+        });
+    }
+
+    // ==================== DOWNLOAD ====================
+
+    /**
+     * File name like AAPL-1D-20261019-1432.png
+     * @param {ChartManager} chart - Exported chart
+     * @param {string} extension - File extension
+     * @returns {string} File name
+     */
+    static getFilename(chart, extension) {
+        const name = (chart.options.symbol || 'comparison').replace(/[^A-Za-z0-9.-]/g, '');
+        const period = chart.options.period ? `-${chart.options.period}` : '';
+        return `${name}${period}-${Utils.formatDate(new Date(), 'YYYYMMDD-HHmm')}.${extension}`;
+    }
+
+    static download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartExport;
+} else {
+    window.ChartExport = ChartExport;
+}
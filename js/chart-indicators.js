@@ -0,0 +1,454 @@
+/**
+ * Technical Indicators for Stock Dashboard
+ * Indicator calculations over normalized chart points, consumed by ChartManager
+ *
+ * @author Stock Dashboard Team
+ * @version 1.0.0
+ * @since 2025-01-15
+ */
+
+'use strict';
+
+/**
+ * Static indicator calculations. Every series returned has the same length as
+ * its input, with null where the indicator is not yet defined (warm-up bars).
+ */
+class ChartIndicators {
+
+    // ==================== MOVING AVERAGES ====================
+
+    /**
+     * Simple moving average
+     * @param {Array<number|null>} values - Input series
+     * @param {number} period - Window length
+     * @returns {Array<number|null>} SMA series
+     */
+    static sma(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        let count = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] === null) {
+                sum = 0;
+                count = 0;
+                continue;
+            }
+
+            sum += values[i];
+            count++;
+
+            if (count > period) {
+                sum -= values[i - period];
+                count = period;
+            }
+
+            if (count === period) {
+                result[i] = sum / period;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Exponential moving average, seeded with the SMA of the first full window
+     * Leading nulls in the input (e.g. another indicator's warm-up) are skipped
+     * @param {Array<number|null>} values - Input series
+     * @param {number} period - Window length
+     * @returns {Array<number|null>} EMA series
+     */
+    static ema(values, period) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(value => value !== null);
+        if (start === -1 || values.length - start < period) return result;
+
+        const multiplier = 2 / (period + 1);
+        let previous = 0;
+
+        for (let i = start; i < start + period; i++) {
+            previous += values[i];
+        }
+        previous /= period;
+        result[start + period - 1] = previous;
+
+        for (let i = start + period; i < values.length; i++) {
+            if (values[i] === null) continue;
+            previous = (values[i] - previous) * multiplier + previous;
+            result[i] = previous;
+        }
+
+        return result;
+    }
+
+    /**
+     * Volume-weighted average price using the typical price (H + L + C) / 3
+     * @param {Array<Object>} points - Normalized chart points
+     * @param {boolean} resetEachSession - Restart accumulation at each trading day
+     * @returns {Array<number|null>} VWAP series
+     */
+    static vwap(points, resetEachSession = true) {
+        const result = new Array(points.length).fill(null);
+        let cumulativeVolume = 0;
+        let cumulativeValue = 0;
+        let session = null;
+
+        points.forEach((point, i) => {
+            if (resetEachSession && point.time !== null) {
+                const pointSession = ChartIndicators.getSessionKey(point.time);
+                if (pointSession !== session) {
+                    session = pointSession;
+                    cumulativeVolume = 0;
+                    cumulativeValue = 0;
+                }
+            }
+
+            const typicalPrice = (point.high + point.low + point.close) / 3;
+            cumulativeVolume += point.volume;
+            cumulativeValue += typicalPrice * point.volume;
+
+            result[i] = cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+        });
+
+        return result;
+    }
+
+    /**
+     * Bollinger Bands around a simple moving average
+     * @param {Array<number>} values - Input series
+     * @param {number} period - Window length
+     * @param {number} stdDev - Band width in standard deviations
+     * @returns {Object} { middle, upper, lower } series
+     */
+    static bollinger(values, period, stdDev) {
+        const middle = ChartIndicators.sma(values, period);
+        const upper = new Array(values.length).fill(null);
+        const lower = new Array(values.length).fill(null);
+
+        middle.forEach((mean, i) => {
+            if (mean === null) return;
+
+            let variance = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                variance += Math.pow(values[j] - mean, 2);
+            }
+
+            const deviation = Math.sqrt(variance / period) * stdDev;
+            upper[i] = mean + deviation;
+            lower[i] = mean - deviation;
+        });
+
+        return { middle, upper, lower };
+    }
+
+    // ==================== OSCILLATORS ====================
+
+    /**
+     * Relative Strength Index using Wilder's smoothing
+     * @param {Array<number>} values - Input series
+     * @param {number} period - Lookback length
+     * @returns {Array<number|null>} RSI series (0-100)
+     */
+    static rsi(values, period) {
+        const result = new Array(values.length).fill(null);
+        if (values.length <= period) return result;
+
+        let averageGain = 0;
+        let averageLoss = 0;
+
+        for (let i = 1; i <= period; i++) {
+            const change = values[i] - values[i - 1];
+            averageGain += Math.max(change, 0);
+            averageLoss += Math.max(-change, 0);
+        }
+        averageGain /= period;
+        averageLoss /= period;
+
+        const toRsi = () => averageLoss === 0 ? 100 : 100 - 100 / (1 + averageGain / averageLoss);
+        result[period] = toRsi();
+
+        for (let i = period + 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+            averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = toRsi();
+        }
+
+        return result;
+    }
+
+    /**
+     * Moving Average Convergence Divergence
+     * @param {Array<number>} values - Input series
+     * @param {number} fast - Fast EMA length
+     * @param {number} slow - Slow EMA length
+     * @param {number} signal - Signal EMA length
+     * @returns {Object} { macd, signal, histogram } series
+     */
+    static macd(values, fast, slow, signal) {
+        const fastEma = ChartIndicators.ema(values, fast);
+        const slowEma = ChartIndicators.ema(values, slow);
+        const macd = fastEma.map((value, i) => (value === null || slowEma[i] === null) ? null : value - slowEma[i]);
+        const signalLine = ChartIndicators.ema(macd, signal);
+        const histogram = macd.map((value, i) => (value === null || signalLine[i] === null) ? null : value - signalLine[i]);
+
+        return { macd, signal: signalLine, histogram };
+    }
+
+    /**
+     * Slow stochastic oscillator
+     * @param {Array<Object>} points - Normalized chart points
+     * @param {number} kPeriod - High/low lookback length
+     * @param {number} dPeriod - %D smoothing length
+     * @param {number} smooth - %K smoothing length
+     * @returns {Object} { k, d } series (0-100)
+     */
+    static stochastic(points, kPeriod, dPeriod, smooth) {
+        const raw = points.map((point, i) => {
+            if (i < kPeriod - 1) return null;
+
+            let highest = -Infinity;
+            let lowest = Infinity;
+            for (let j = i - kPeriod + 1; j <= i; j++) {
+                highest = Math.max(highest, points[j].high);
+                lowest = Math.min(lowest, points[j].low);
+            }
+
+            return highest === lowest ? 50 : ((point.close - lowest) / (highest - lowest)) * 100;
+        });
+
+        const k = ChartIndicators.sma(raw, smooth);
+        const d = ChartIndicators.sma(k, dPeriod);
+
+        return { k, d };
+    }
+
+    // ==================== HELPERS ====================
+
+    /**
+     * Trading-day key for a timestamp in the market timezone
+     * @param {number} time - Milliseconds since epoch
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    static getSessionKey(time) {
+        if (!ChartIndicators.sessionFormatter) {
+            ChartIndicators.sessionFormatter = new Intl.DateTimeFormat('en-CA', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                timeZone: STOCK_CONFIG.MARKET.HOURS.TIMEZONE
+            });
+        }
+
+        return ChartIndicators.sessionFormatter.format(new Date(time));
+    }
+
+    /**
+     * Merge user parameters with defaults and clamp them to the allowed range
+     * @param {string} type - Indicator type
+     * @param {Object} params - User supplied parameters
+     * @returns {Object} Resolved parameters
+     */
+    static resolveParams(type, params = {}) {
+        const definition = ChartIndicators.DEFINITIONS[type];
+        const resolved = {};
+
+        definition.params.forEach(param => {
+            const value = parseFloat(params[param.name]);
+            resolved[param.name] = isNaN(value)
+                ? param.default
+                : Math.min(param.max, Math.max(param.min, value));
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Short label for an indicator, e.g. "SMA 20" or "BB 20, 2"
+     * @param {string} type - Indicator type
+     * @param {Object} params - Resolved parameters
+     * @returns {string} Label
+     */
+    static getLabel(type, params) {
+        const definition = ChartIndicators.DEFINITIONS[type];
+        const names = definition.labelParams || definition.params.map(param => param.name);
+        const values = names.map(name => params[name]);
+        return values.length > 0 ? `${definition.shortLabel} ${values.join(', ')}` : definition.shortLabel;
+    }
+
+    /**
+     * Compute an indicator over the full series
+     * @param {Object} indicator - Indicator config { type, params }
+     * @param {Array<Object>} points - Normalized chart points
+     * @param {Object} context - Chart context { period, colors } where colors is the theme's indicator palette
+     * @returns {Object|null} Result { type, placement, label, color, lines, band,
+     *                        histogram, levels, range }
+     */
+    static compute(indicator, points, context = {}) {
+        const definition = ChartIndicators.DEFINITIONS[indicator.type];
+        if (!definition) {
+            console.warn(`Unknown indicator: ${indicator.type}`);
+            return null;
+        }
+
+        const params = ChartIndicators.resolveParams(indicator.type, indicator.params);
+        const label = ChartIndicators.getLabel(indicator.type, params);
+        const colors = context.colors || STOCK_CONFIG.CHART.COLORS.INDICATORS;
+        const color = colors[indicator.type.toUpperCase()];
+        const closes = points.map(point => point.close);
+        const result = {
+            type: indicator.type,
+            placement: definition.placement,
+            label,
+            color,
+            lines: [],
+            band: null,
+            histogram: null,
+            levels: [],
+            range: definition.range || null
+        };
+
+        switch (indicator.type) {
+            case 'sma':
+                result.lines.push({ label, color, values: ChartIndicators.sma(closes, params.period) });
+                break;
+
+            case 'ema':
+                result.lines.push({ label, color, values: ChartIndicators.ema(closes, params.period) });
+                break;
+
+            case 'vwap': {
+                const intraday = ['1D', '5D'].includes(context.period);
+                result.lines.push({ label, color, values: ChartIndicators.vwap(points, intraday) });
+                break;
+            }
+
+            case 'bollinger': {
+                const bands = ChartIndicators.bollinger(closes, params.period, params.stdDev);
+                result.lines.push(
+                    { label: 'Upper', color, values: bands.upper },
+                    { label: 'Middle', color, values: bands.middle, dash: [4, 3] },
+                    { label: 'Lower', color, values: bands.lower }
+                );
+                result.band = { upper: bands.upper, lower: bands.lower, color };
+                break;
+            }
+
+            case 'rsi':
+                result.lines.push({ label, color, values: ChartIndicators.rsi(closes, params.period) });
+                result.levels = [params.overbought, params.oversold];
+                break;
+
+            case 'macd': {
+                const macd = ChartIndicators.macd(closes, params.fast, params.slow, params.signal);
+                result.lines.push(
+                    { label: 'MACD', color, values: macd.macd },
+                    { label: 'Signal', color: colors.MACD_SIGNAL, values: macd.signal }
+                );
+                result.histogram = { values: macd.histogram };
+                result.levels = [0];
+                break;
+            }
+
+            case 'stochastic': {
+                const stochastic = ChartIndicators.stochastic(points, params.kPeriod, params.dPeriod, params.smooth);
+                result.lines.push(
+                    { label: '%K', color, values: stochastic.k },
+                    { label: '%D', color: colors.STOCHASTIC_D, values: stochastic.d }
+                );
+                result.levels = [params.overbought, params.oversold];
+                break;
+            }
+        }
+
+        return result;
+    }
+}
+
+/**
+ * Indicator catalogue: labels, placement and editable parameters
+ */
+ChartIndicators.DEFINITIONS = {
+    sma: {
+        label: 'Simple Moving Average',
+        shortLabel: 'SMA',
+        placement: 'overlay',
+        params: [
+            { name: 'period', label: 'Period', min: 2, max: 400, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.SMA_PERIOD }
+        ]
+    },
+    ema: {
+        label: 'Exponential Moving Average',
+        shortLabel: 'EMA',
+        placement: 'overlay',
+        params: [
+            { name: 'period', label: 'Period', min: 2, max: 400, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.EMA_PERIOD }
+        ]
+    },
+    vwap: {
+        label: 'VWAP',
+        shortLabel: 'VWAP',
+        placement: 'overlay',
+        params: []
+    },
+    bollinger: {
+        label: 'Bollinger Bands',
+        shortLabel: 'BB',
+        placement: 'overlay',
+        params: [
+            { name: 'period', label: 'Period', min: 2, max: 400, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.BOLLINGER_PERIOD },
+            { name: 'stdDev', label: 'Std Dev', min: 0.5, max: 5, step: 0.5, default: STOCK_CONFIG.CHART.INDICATORS.BOLLINGER_STD_DEV }
+        ]
+    },
+    rsi: {
+        label: 'Relative Strength Index',
+        shortLabel: 'RSI',
+        placement: 'pane',
+        range: { min: 0, max: 100 },
+        labelParams: ['period'],
+        params: [
+            { name: 'period', label: 'Period', min: 2, max: 100, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.RSI_PERIOD },
+            { name: 'overbought', label: 'Overbought', min: 50, max: 100, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.RSI_OVERBOUGHT },
+            { name: 'oversold', label: 'Oversold', min: 0, max: 50, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.RSI_OVERSOLD }
+        ]
+    },
+    macd: {
+        label: 'MACD',
+        shortLabel: 'MACD',
+        placement: 'pane',
+        params: [
+            { name: 'fast', label: 'Fast', min: 2, max: 100, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.MACD_FAST },
+            { name: 'slow', label: 'Slow', min: 3, max: 200, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.MACD_SLOW },
+            { name: 'signal', label: 'Signal', min: 2, max: 100, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.MACD_SIGNAL }
+        ]
+    },
+    stochastic: {
+        label: 'Stochastic',
+        shortLabel: 'Stoch',
+        placement: 'pane',
+        range: { min: 0, max: 100 },
+        labelParams: ['kPeriod', 'dPeriod', 'smooth'],
+        params: [
+            { name: 'kPeriod', label: '%K', min: 2, max: 100, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.STOCH_K_PERIOD },
+            { name: 'dPeriod', label: '%D', min: 1, max: 50, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.STOCH_D_PERIOD },
+            { name: 'smooth', label: 'Smooth', min: 1, max: 50, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.STOCH_SMOOTH },
+            { name: 'overbought', label: 'Overbought', min: 50, max: 100, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.STOCH_OVERBOUGHT },
+            { name: 'oversold', label: 'Oversold', min: 0, max: 50, step: 1, default: STOCK_CONFIG.CHART.INDICATORS.STOCH_OVERSOLD }
+        ]
+    }
+};
+
+/**
+ * Indicator types by placement
+ * @param {string} placement - 'overlay' or 'pane'
+ * @returns {Array<string>} Indicator types
+ */
+ChartIndicators.getTypes = placement => Object.keys(ChartIndicators.DEFINITIONS)
+    .filter(type => ChartIndicators.DEFINITIONS[type].placement === placement);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartIndicators;
+} else {
+    window.ChartIndicators = ChartIndicators;
+}
@@ -1,4 +1,3174 @@
-//yet to make this// Initialize chart-manager.js with chart setup
+/**
+ * Chart Manager for Stock Dashboard
+ * Canvas-based price chart renderer used by stock cards
+ *
+ * @author Stock Dashboard Team
+ * @version 1.0.0
+ * @since 2025-01-15
+ */
+
+'use strict';
+
+/**
+ * Renders a price series onto a canvas element
+ */
+class ChartManager {
+    /**
+     * Create a chart bound to a canvas
+     * @param {HTMLCanvasElement} canvas - Target canvas element
+     * @param {Object} options - Chart options (symbol, data, type, period, ...)
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = null;                // Null while a worker paints the canvas
+        this.options = {
+            symbol: '',
+            title: '',                  // Display name shown in exports, e.g. the company name
+            data: [],
+            type: STOCK_CONFIG.CHART.DEFAULT_TYPE, // One of STOCK_CONFIG.CHART.TYPES
+            brickSize: null,            // Renko brick / point-and-figure box size, null for STOCK_CONFIG.CHART.BRICKS.SIZE
+            scale: STOCK_CONFIG.CHART.DEFAULT_SCALE, // One of STOCK_CONFIG.CHART.SCALES
+            period: '1D',
+            compact: false,
+            height: null,               // Pixel height, 'auto' to fill the container, null for config default
+            previousClose: null,        // Baseline used to color the series up/down
+            showVolume: STOCK_CONFIG.CHART.VOLUME.DEFAULT_VISIBLE,
+            showExtendedHours: STOCK_CONFIG.CHART.SESSIONS.SHOW_EXTENDED_BARS, // Pre-market and after-hours bars on intraday charts
+            volumeRatio: null,          // Volume pane share of the free height, null for config default
+            indicators: [],             // Indicator configs { type, params }, see ChartIndicators.DEFINITIONS
+            interactive: STOCK_CONFIG.FEATURES.INTERACTIVE_CHARTS, // Crosshair and hover tooltip
+            drawings: STOCK_CONFIG.FEATURES.CHART_DRAWINGS, // Saved drawings for the symbol, editable when interactive
+            showDataTable: false,       // Data table view below the chart, the accessible alternative
+            offscreen: STOCK_CONFIG.CHART.OFFSCREEN.ENABLED, // Paint in the chart worker when supported
+            headless: false,            // Worker-side renderer: paints posted state, no DOM or input
+            ...options
+        };
+
+        this.points = [];
+        this.sourcePoints = [];         // Session-filtered bars before any chart type transform
+        this.theme = 'dark';            // 'light' or 'dark'; follows the dashboard outside the worker
+        this.indicatorResults = [];
+        this.viewStart = 0;
+        this.viewEnd = 0;
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.layout = null;
+        this.plot = null;
+        this.yScale = null;
+        this.frameRequest = null;
+        this.resizeObserver = null;
+        this.handleResize = this.resize.bind(this);
+        this.hover = null;
+        this.tooltip = null;
+        this.listeners = [];
+        this.longPressTimer = null;
+        this.drag = null;
+        this.justDragged = false;
+        this.pinch = null;
+        this.drawings = null;
+        this.animation = null;
+        this.sessionCache = new WeakMap();
+        this.renderCache = null;
+        this.liveRegion = null;
+        this.dataTable = null;
+        this.descriptionTimer = null;
+        this.worker = null;
+        this.rendererId = null;
+        this.sentState = {};
+        this.destroyed = false;
+
+        this.init();
+    }
+
+    init() {
+        if (this.options.drawings && this.options.symbol && window.ChartDrawings) {
+            this.drawings = new ChartDrawings(this);
+        }
+
+        if (this.options.headless) {
+            this.ctx = this.canvas.getContext('2d');
+            return;
+        }
+
+        if (!ChartManager.getAvailableTypes().includes(this.options.type)) {
+            console.warn(`Chart type ${this.options.type} needs chart-transforms.js; using ${STOCK_CONFIG.CHART.DEFAULT_TYPE}`);
+            this.options.type = STOCK_CONFIG.CHART.DEFAULT_TYPE;
+        }
+
+        this.canvas.style.display = 'block';
+        this.theme = ChartManager.getThemeName();
+        this.startRenderer();
+        this.setData(this.options.data, false);
+        this.bindResize();
+        this.bindTheme();
+        this.initAccessibility();
+
+        if (this.options.interactive) {
+            // Drawing handlers go first so an active tool takes the pointer before pan and zoom
+            if (this.drawings) {
+                this.drawings.bindEvents();
+            }
+            this.bindInteractions();
+        }
+
+        this.resize();
+    }
+
+    // ==================== DATA ====================
+
+    /**
+     * Normalize supported chart payloads into OHLCV points
+     * Accepts plain number arrays, arrays of point objects and
+     * Yahoo-style { timestamp: [], indicators: { quote: [...] } } payloads
+     * @param {Array|Object} data - Raw chart data
+     * @returns {Array<Object>} Points sorted by time
+     */
+    static normalizeData(data) {
+        if (!data) return [];
+
+        if (!Array.isArray(data) && Array.isArray(data.timestamp)) {
+            const quote = (data.indicators && data.indicators.quote && data.indicators.quote[0]) || {};
+            data = data.timestamp.map((time, i) => ({
+                time,
+                open: quote.open?.[i],
+                high: quote.high?.[i],
+                low: quote.low?.[i],
+                close: quote.close?.[i],
+                volume: quote.volume?.[i]
+            }));
+        }
+
+        if (!Array.isArray(data)) return [];
+
+        const points = data.map((entry, index) => {
+            if (typeof entry === 'number' || typeof entry === 'string') {
+                const value = parseFloat(entry);
+                return { time: null, index, open: value, high: value, low: value, close: value, volume: 0 };
+            }
+
+            const close = parseFloat(entry.close ?? entry.c ?? entry.price ?? entry.value);
+            const open = parseFloat(entry.open ?? entry.o ?? close);
+            const high = parseFloat(entry.high ?? entry.h ?? Math.max(open, close));
+            const low = parseFloat(entry.low ?? entry.l ?? Math.min(open, close));
+
+            return {
+                time: ChartManager.parseTime(entry.time ?? entry.timestamp ?? entry.date ?? entry.t),
+                index,
+                open: isNaN(open) ? close : open,
+                high: isNaN(high) ? Math.max(open, close) : high,
+                low: isNaN(low) ? Math.min(open, close) : low,
+                close,
+                volume: parseFloat(entry.volume ?? entry.v) || 0
+            };
+        }).filter(point => Number.isFinite(point.close));
+
+        if (points.every(point => point.time !== null)) {
+            points.sort((a, b) => a.time - b.time);
+        }
+
+        return points;
+    }
+
+    /**
+     * Convert a timestamp in seconds, milliseconds or date-string form to milliseconds
+     * @param {number|string|Date} value - Raw timestamp
+     * @returns {number|null} Milliseconds since epoch or null
+     */
+    static parseTime(value) {
+        if (value === undefined || value === null || value === '') return null;
+        if (value instanceof Date) return value.getTime();
+
+        if (typeof value === 'number' || /^\d+$/.test(value)) {
+            const numeric = Number(value);
+            // Values below 1e11 are Unix seconds
+            return numeric < 1e11 ? numeric * 1000 : numeric;
+        }
+
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Replace the chart data
+     * @param {Array|Object} data - Raw chart data
+     * @param {boolean} redraw - Redraw after replacing
+     */
+    setData(data, redraw = true) {
+        this.options.data = data;
+        this.sourcePoints = this.filterSessions(ChartManager.normalizeData(data));
+        this.points = ChartManager.reindex(this.transformPoints(this.sourcePoints));
+        this.viewStart = 0;
+        this.viewEnd = this.points.length;
+        this.animation = null;
+        this.computeIndicators();
+        this.scheduleDescription();
+
+        if (redraw) {
+            this.render();
+        }
+    }
+
+    /**
+     * Merge refreshed data into the current series without rebuilding the chart.
+     * Zoom, hover and drawings are kept; bars that changed animate from their old values.
+     * @param {Array|Object} data - Raw chart data for the same period
+     * @param {Object} changes - Option changes to apply with the data (e.g. previousClose)
+     */
+    update(data, changes = {}) {
+        Object.assign(this.options, changes);
+        this.options.data = data;
+        this.mergePoints(ChartManager.normalizeData(data));
+    }
+
+    /**
+     * Add a single bar, or update the last bar when it has the same time
+     * @param {Object} point - Raw point { time, open, high, low, close, volume }
+     */
+    appendPoint(point) {
+        const [next] = ChartManager.normalizeData([point]);
+        if (!next) return;
+
+        const points = this.sourcePoints.slice();
+        const last = points[points.length - 1];
+
+        if (last && next.time !== null && next.time === last.time) {
+            // Same bar: keep its open and widen its range
+            points[points.length - 1] = {
+                ...next,
+                open: last.open,
+                high: Math.max(last.high, next.high),
+                low: Math.min(last.low, next.low)
+            };
+        } else if (!last || next.time === null || next.time > last.time) {
+            points.push(next);
+        } else {
+            return;
+        }
+
+        this.options.data = points;
+        this.mergePoints(points);
+    }
+
+    /**
+     * Swap in new points, keeping the view on the same bars (or on the live edge)
+     * and animating the region from the first changed bar onwards
+     * @param {Array<Object>} points - Normalized points
+     */
+    mergePoints(points) {
+        const previous = this.points;
+        this.sourcePoints = this.filterSessions(points);
+        points = ChartManager.reindex(this.transformPoints(this.sourcePoints));
+
+        // Where the new series starts within the old one; anything else is a fresh series
+        let offset = -1;
+        if (previous.length > 0 && points.length > 0) {
+            offset = points[0].time === null ? 0 : previous.findIndex(point => point.time === points[0].time);
+        }
+
+        if (offset === -1) {
+            const wasZoomed = this.isZoomed();
+
+            this.points = points;
+            this.viewStart = 0;
+            this.viewEnd = points.length;
+            this.animation = null;
+            this.hover = null;
+            this.hideTooltip();
+            this.computeIndicators();
+            this.scheduleDescription();
+            this.render();
+
+            if (wasZoomed) {
+                this.notifyViewChange();
+            }
+            return;
+        }
+
+        let firstChanged = points.length;
+        for (let i = 0; i < points.length; i++) {
+            if (!ChartManager.isSamePoint(previous[i + offset], points[i])) {
+                firstChanged = i;
+                break;
+            }
+        }
+
+        if (firstChanged === points.length && points.length === previous.length - offset) return;
+
+        const count = this.viewEnd - this.viewStart;
+        const zoomed = this.isZoomed();
+        const followEdge = this.viewEnd >= previous.length;
+
+        this.points = points;
+        this.computeIndicators();
+        this.scheduleDescription();
+
+        if (STOCK_CONFIG.FEATURES.CHART_ANIMATIONS && !ChartManager.prefersReducedMotion() && firstChanged < points.length) {
+            const lastClose = previous[previous.length - 1].close;
+            const from = new Map();
+
+            // New bars grow out of the previous last close
+            for (let i = firstChanged; i < points.length; i++) {
+                const old = previous[i + offset];
+                from.set(points[i], old || { open: lastClose, high: lastClose, low: lastClose, close: lastClose, volume: 0 });
+            }
+
+            this.animation = { start: performance.now(), duration: STOCK_CONFIG.UI.ANIMATION_DURATION, from, progress: 0 };
+        }
+
+        if (!zoomed) {
+            this.setViewRange(0, points.length);
+        } else if (followEdge) {
+            this.setViewRange(points.length - count, points.length);
+        } else {
+            this.setViewRange(this.viewStart - offset, this.viewStart - offset + count);
+        }
+
+        // Keep the hovered bar under the crosshair and refresh its tooltip
+        if (this.hover) {
+            this.hover.index = Math.min(this.viewEnd - 1, Math.max(this.viewStart, this.hover.index - offset));
+            this.showTooltip();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Derive the plotted series for chart types drawn from transformed bars
+     * (Heikin-Ashi, Renko, point-and-figure); other types plot the bars as they are
+     * @param {Array<Object>} points - Session-filtered points
+     * @returns {Array<Object>} Points to plot
+     */
+    transformPoints(points) {
+        const transform = ChartManager.getTransform(this.options.type);
+        if (!transform) return points;
+
+        return transform(points, { size: this.options.brickSize || STOCK_CONFIG.CHART.BRICKS.SIZE });
+    }
+
+    /**
+     * Transform for a chart type, if it has one and chart-transforms.js is loaded
+     * @param {string} type - Chart type
+     * @returns {Function|null} Transform, or null to plot bars as they are
+     */
+    static getTransform(type) {
+        return window.ChartTransforms ? ChartTransforms.forType(type) : null;
+    }
+
+    /**
+     * Chart types that can be drawn on this page; transformed types need chart-transforms.js
+     * @returns {Array<string>} Subset of STOCK_CONFIG.CHART.TYPES
+     */
+    static getAvailableTypes() {
+        return STOCK_CONFIG.CHART.TYPES.filter(type => window.ChartTransforms || !ChartManager.TRANSFORMED_TYPES.includes(type));
+    }
+
+    /**
+     * Rebuild the plotted series from the source bars after a transform setting changed
+     */
+    rebuildSeries() {
+        const wasZoomed = this.isZoomed();
+
+        this.hover = null;
+        this.hideTooltip();
+        this.setData(this.options.data);
+
+        if (wasZoomed) {
+            this.notifyViewChange();
+        }
+    }
+
+    /**
+     * Make each point's index match its position, copying only points that moved
+     * @param {Array<Object>} points - Normalized points
+     * @returns {Array<Object>} Indexed points
+     */
+    static reindex(points) {
+        return points.map((point, index) => (point.index === index ? point : { ...point, index }));
+    }
+
+    static isSamePoint(a, b) {
+        return Boolean(a && b) && a.time === b.time && a.open === b.open && a.high === b.high &&
+            a.low === b.low && a.close === b.close && a.volume === b.volume;
+    }
+
+    /**
+     * Point values for the current animation frame
+     * @param {Object} point - Point in this.points
+     * @returns {Object} Point interpolated from its previous values, or the point itself
+     */
+    getAnimatedPoint(point) {
+        const from = this.animation.from.get(point);
+        if (!from) return point;
+
+        // Ease out cubic
+        const t = 1 - Math.pow(1 - this.animation.progress, 3);
+        const mix = key => from[key] + (point[key] - from[key]) * t;
+
+        return { ...point, open: mix('open'), high: mix('high'), low: mix('low'), close: mix('close'), volume: mix('volume') };
+    }
+
+    /**
+     * Recompute indicator series over the full data set
+     * Indicators run over all points (not just the visible range) so warm-up
+     * bars outside the view still feed the values that are shown
+     */
+    computeIndicators() {
+        if (!window.ChartIndicators) {
+            this.indicatorResults = [];
+            return;
+        }
+
+        this.indicatorResults = this.options.indicators
+            .map(indicator => ChartIndicators.compute(indicator, this.points, { period: this.options.period, colors: this.getColors().INDICATORS }))
+            .filter(Boolean);
+    }
+
+    /**
+     * Replace the active indicators and redraw
+     * @param {Array<Object>} indicators - Indicator configs { type, params }
+     */
+    setIndicators(indicators) {
+        this.options.indicators = indicators || [];
+        this.computeIndicators();
+        // Pane count may change the chart height
+        this.resize();
+        this.render();
+    }
+
+    /**
+     * Indicator results drawn over the price plot
+     * @returns {Array<Object>} Overlay results
+     */
+    getOverlays() {
+        return this.indicatorResults.filter(result => result.placement === 'overlay');
+    }
+
+    /**
+     * Indicator results drawn in their own panes, in display order
+     * @returns {Array<Object>} Oscillator results
+     */
+    getPaneIndicators() {
+        return this.indicatorResults
+            .filter(result => result.placement === 'pane')
+            .slice(0, STOCK_CONFIG.CHART.INDICATORS.MAX_PANES);
+    }
+
+    /**
+     * Set the visible bar range, clamped to the data and the minimum zoom level
+     * @param {number} start - First visible index (may be fractional)
+     * @param {number} end - Index after the last visible bar
+     */
+    setViewRange(start, end) {
+        const total = this.points.length;
+        if (total === 0) return;
+
+        const count = Math.max(Math.min(total, STOCK_CONFIG.CHART.ZOOM.MIN_BARS), Math.min(total, Math.round(end - start)));
+        const viewStart = Math.max(0, Math.min(total - count, Math.round(start)));
+
+        if (viewStart === this.viewStart && viewStart + count === this.viewEnd) return;
+
+        this.viewStart = viewStart;
+        this.viewEnd = viewStart + count;
+        this.render();
+        this.notifyViewChange();
+    }
+
+    notifyViewChange() {
+        this.scheduleDescription();
+        // Bubbles so owners can listen above the canvas, which recoverRenderer may replace
+        this.canvas.dispatchEvent(new CustomEvent('chartViewChange', {
+            bubbles: true,
+            detail: { start: this.viewStart, end: this.viewEnd, zoomed: this.isZoomed() }
+        }));
+    }
+
+    /**
+     * Zoom around an anchor position so the bar under it stays in place
+     * @param {number} factor - Range multiplier (> 1 zooms out, < 1 zooms in)
+     * @param {number} anchorX - Anchor X coordinate in CSS pixels
+     */
+    zoomAt(factor, anchorX) {
+        if (!this.plot) return;
+
+        const count = this.viewEnd - this.viewStart;
+        const ratio = Math.min(1, Math.max(0, (anchorX - this.plot.left) / this.plot.width));
+        const anchorIndex = this.viewStart + ratio * count;
+        const newCount = count * factor;
+        const start = anchorIndex - ratio * newCount;
+
+        this.setViewRange(start, start + newCount);
+    }
+
+    isZoomed() {
+        return this.viewStart > 0 || this.viewEnd < this.points.length;
+    }
+
+    resetZoom() {
+        this.setViewRange(0, this.points.length);
+    }
+
+    /**
+     * Points currently inside the visible range
+     * @returns {Array<Object>} Visible points
+     */
+    getVisiblePoints() {
+        const points = this.points.slice(this.viewStart, this.viewEnd);
+        return this.animation ? points.map(point => this.getAnimatedPoint(point)) : points;
+    }
+
+    // ==================== SESSIONS ====================
+
+    /**
+     * Whether the chart shows intraday bars that can be split into trading sessions
+     * @returns {boolean} True for intraday periods with timed data
+     */
+    isIntraday() {
+        return STOCK_CONFIG.CHART.SESSIONS.INTRADAY_PERIODS.includes(this.options.period) &&
+            this.points.length > 0 && this.points[0].time !== null;
+    }
+
+    /**
+     * Date and wall-clock time of a timestamp in the market timezone
+     * @param {number} time - Milliseconds since epoch
+     * @returns {Object} { day: 'YYYY-MM-DD', time: 'HH:MM' }
+     */
+    static getMarketClock(time) {
+        if (!ChartManager.marketClockFormatter) {
+            ChartManager.marketClockFormatter = new Intl.DateTimeFormat('en-US', {
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23',
+                timeZone: STOCK_CONFIG.MARKET.HOURS.TIMEZONE
+            });
+        }
+
+        const parts = {};
+        ChartManager.marketClockFormatter.formatToParts(new Date(time)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+
+    /**
+     * Trading session a bar belongs to
+     * @param {Object} point - Point in this.points
+     * @returns {Object} { day, session } where session is 'pre', 'regular', 'post' or 'closed'
+     */
+    getSession(point) {
+        if (!this.sessionCache.has(point)) {
+            const { day, time } = ChartManager.getMarketClock(point.time);
+            const hours = STOCK_CONFIG.MARKET.HOURS;
+            const extended = STOCK_CONFIG.MARKET.EXTENDED_HOURS;
+            let session = 'closed';
+
+            if (time >= hours.OPEN && time < hours.CLOSE) {
+                session = 'regular';
+            } else if (time >= extended.PRE_MARKET_START && time < extended.PRE_MARKET_END) {
+                session = 'pre';
+            } else if (time >= extended.AFTER_HOURS_START && time < extended.AFTER_HOURS_END) {
+                session = 'post';
+            }
+
+            this.sessionCache.set(point, { day, session });
+        }
+
+        return this.sessionCache.get(point);
+    }
+
+    /**
+     * Drop extended-hours bars from intraday data when they are hidden
+     * @param {Array<Object>} points - Normalized points
+     * @returns {Array<Object>} Points to chart, re-indexed when filtered
+     */
+    filterSessions(points) {
+        if (this.options.showExtendedHours || points.length === 0 || points[0].time === null ||
+            !STOCK_CONFIG.CHART.SESSIONS.INTRADAY_PERIODS.includes(this.options.period)) {
+            return points;
+        }
+
+        return points
+            .filter(point => this.getSession(point).session === 'regular')
+            .map((point, index) => ({ ...point, index }));
+    }
+
+    /**
+     * Show or hide extended-hours bars; reloads the series from the raw data
+     * @param {boolean} visible - Whether to chart pre-market and after-hours bars
+     */
+    setExtendedHoursVisible(visible) {
+        if (this.options.showExtendedHours === visible) return;
+
+        const wasZoomed = this.isZoomed();
+        this.options.showExtendedHours = visible;
+        this.clearHover();
+        this.setData(this.options.data);
+
+        if (wasZoomed) {
+            this.notifyViewChange();
+        }
+    }
+
+    /**
+     * Shade extended-hours bars and mark the break between trading days
+     * with the overnight gap from the last bar of one day to the first of the next
+     */
+    drawSessions() {
+        const sessions = STOCK_CONFIG.CHART.SESSIONS;
+        if (!this.isIntraday() || this.isBrickType() || (!sessions.SHADE_EXTENDED && !sessions.SHOW_BREAKS)) return;
+
+        const ctx = this.ctx;
+        const colors = this.getColors();
+        const halfBar = this.getBarSpacing() / 2;
+        const top = this.plot.top;
+        const bottom = this.layout.bottom;
+        let runStart = null;
+
+        ctx.save();
+
+        for (let i = this.viewStart; i < this.viewEnd; i++) {
+            const { day, session } = this.getSession(this.points[i]);
+            const extended = session !== 'regular';
+
+            if (sessions.SHADE_EXTENDED) {
+                if (extended && runStart === null) {
+                    runStart = i;
+                }
+                if (runStart !== null && (!extended || i === this.viewEnd - 1)) {
+                    const runEnd = extended ? i : i - 1;
+                    const left = this.indexToX(runStart) - halfBar;
+                    ctx.fillStyle = colors.EXTENDED_HOURS;
+                    ctx.fillRect(left, top, this.indexToX(runEnd) + halfBar - left, bottom - top);
+                    runStart = null;
+                }
+            }
+
+            if (sessions.SHOW_BREAKS && i > this.viewStart && day !== this.getSession(this.points[i - 1]).day) {
+                const x = Math.round(this.indexToX(i) - halfBar) + 0.5;
+
+                ctx.strokeStyle = colors.SESSION_BREAK;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, bottom);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                if (!this.options.compact) {
+                    const gap = (this.points[i].open / this.points[i - 1].close - 1) * 100;
+                    ctx.fillStyle = gap >= 0 ? colors.UP : colors.DOWN;
+                    ctx.textAlign = 'left';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(`Gap ${Utils.formatPercentage(gap, 2, true)}`, x + 3, this.plot.bottom - 2);
+                }
+            }
+        }
+
+        ctx.restore();
+    }
+
+    // ==================== DOWNSAMPLING ====================
+
+    /**
+     * Reduce the visible points to what the plot can show at its current width.
+     * Line and area series keep their shape through largest-triangle-three-buckets;
+     * OHLC series and volume merge runs of bars into single bars. The result is
+     * reused until the data, view range, plot width or chart type changes.
+     * @param {Array<Object>} points - Visible points
+     * @returns {Object} { series, bars } where series feeds the price plot and bars the volume pane
+     */
+    getRenderPoints(points) {
+        const config = STOCK_CONFIG.CHART.DOWNSAMPLE;
+        const key = `${this.viewStart}:${this.viewEnd}:${Math.round(this.plot.width)}:${this.options.type}`;
+
+        if (!this.animation && this.renderCache && this.renderCache.key === key && this.renderCache.points === this.points) {
+            return this.renderCache.result;
+        }
+
+        let result = { series: points, bars: points };
+
+        // Bricks and columns are already one per price move; merging them would misstate the boxes
+        if (config.ENABLED && !this.isBrickType()) {
+            const maxBars = Math.max(1, Math.floor(this.plot.width / config.MIN_BAR_PIXELS));
+            const bucketSize = Math.ceil(points.length / maxBars);
+            const bars = bucketSize > 1 ? ChartManager.aggregateBars(points, bucketSize) : points;
+
+            result = {
+                series: this.isOhlcType() ? bars : ChartManager.lttb(points, Math.floor(this.plot.width * config.LINE_POINTS_PER_PIXEL)),
+                bars
+            };
+        }
+
+        // Animation frames carry interpolated copies, so they are never cached
+        this.renderCache = this.animation ? null : { key, points: this.points, result };
+        return result;
+    }
+
+    /**
+     * Merge runs of consecutive bars into single OHLCV bars.
+     * Runs are aligned to the start of the series rather than the view so that
+     * panning does not shift bucket boundaries and make bars flicker.
+     * @param {Array<Object>} points - Indexed points
+     * @param {number} size - Bars per bucket
+     * @returns {Array<Object>} Bars with start, span and a centered (fractional) index
+     */
+    static aggregateBars(points, size) {
+        const bars = [];
+        let bucket = null;
+        let bar = null;
+
+        points.forEach(point => {
+            const id = Math.floor(point.index / size);
+            if (id !== bucket) {
+                bucket = id;
+                bar = { ...point, start: point.index, span: 0, volume: 0 };
+                bars.push(bar);
+            }
+
+            bar.high = Math.max(bar.high, point.high);
+            bar.low = Math.min(bar.low, point.low);
+            bar.close = point.close;
+            bar.volume += point.volume;
+            bar.span++;
+        });
+
+        bars.forEach(entry => {
+            entry.index = entry.start + (entry.span - 1) / 2;
+        });
+
+        return bars;
+    }
+
+    /**
+     * Largest-triangle-three-buckets reduction of a close-price series.
+     * Keeps the first and last points and, from each bucket in between, the point
+     * forming the largest triangle with the previous pick and the next bucket's average.
+     * @param {Array<Object>} points - Points with close values
+     * @param {number} threshold - Number of points to keep
+     * @returns {Array<Object>} Selected points, in order
+     */
+    static lttb(points, threshold) {
+        if (threshold < 3 || threshold >= points.length) return points;
+
+        const sampled = [points[0]];
+        const every = (points.length - 2) / (threshold - 2);
+        let previous = 0;
+
+        for (let i = 0; i < threshold - 2; i++) {
+            // Average of the next bucket is the third vertex of the triangle
+            const nextStart = Math.floor((i + 1) * every) + 1;
+            const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, points.length);
+            let avgX = 0;
+            let avgY = 0;
+
+            for (let j = nextStart; j < nextEnd; j++) {
+                avgX += j;
+                avgY += points[j].close;
+            }
+            avgX /= nextEnd - nextStart;
+            avgY /= nextEnd - nextStart;
+
+            const start = Math.floor(i * every) + 1;
+            const end = Math.floor((i + 1) * every) + 1;
+            const origin = points[previous].close;
+            let maxArea = -1;
+            let selected = start;
+
+            for (let j = start; j < end; j++) {
+                const area = Math.abs((previous - avgX) * (points[j].close - origin) - (previous - j) * (avgY - origin));
+                if (area > maxArea) {
+                    maxArea = area;
+                    selected = j;
+                }
+            }
+
+            sampled.push(points[selected]);
+            previous = selected;
+        }
+
+        sampled.push(points[points.length - 1]);
+        return sampled;
+    }
+
+    // ==================== LAYOUT & SCALES ====================
+
+    bindResize() {
+        const target = this.canvas.parentElement;
+
+        if (window.ResizeObserver && target) {
+            this.resizeObserver = new ResizeObserver(() => this.resize());
+            this.resizeObserver.observe(target);
+        } else {
+            window.addEventListener('resize', this.handleResize);
+        }
+    }
+
+    /**
+     * Resolve the CSS pixel height of the chart
+     * @returns {number} Height in CSS pixels
+     */
+    getTargetHeight() {
+        const { height, compact } = this.options;
+
+        if (typeof height === 'number') return height;
+        if (height === 'auto' && this.canvas.parentElement) {
+            return this.canvas.parentElement.clientHeight || STOCK_CONFIG.CHART.HEIGHT;
+        }
+
+        // Oscillator panes extend the chart instead of squeezing the price plot
+        const paneHeight = compact ? STOCK_CONFIG.CHART.INDICATORS.COMPACT_PANE_HEIGHT : STOCK_CONFIG.CHART.INDICATORS.PANE_HEIGHT;
+        const baseHeight = compact ? STOCK_CONFIG.CHART.COMPACT_HEIGHT : STOCK_CONFIG.CHART.HEIGHT;
+
+        return baseHeight + this.getPaneIndicators().length * (paneHeight + STOCK_CONFIG.CHART.PANE_GAP);
+    }
+
+    /**
+     * Match the canvas backing store to its displayed size and device pixel ratio
+     */
+    resize() {
+        if (this.destroyed) return;
+
+        const container = this.canvas.parentElement || this.canvas;
+        const width = Math.floor(container.clientWidth);
+        const height = Math.floor(this.getTargetHeight());
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, STOCK_CONFIG.CHART.MAX_PIXEL_RATIO);
+
+        if (width === this.width && height === this.height && pixelRatio === this.pixelRatio) {
+            return;
+        }
+
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = pixelRatio;
+
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        // A transferred canvas is sized by the worker from the next frame's state
+        if (!this.worker) {
+            this.canvas.width = Math.max(1, Math.round(width * pixelRatio));
+            this.canvas.height = Math.max(1, Math.round(height * pixelRatio));
+        }
+
+        this.render();
+    }
+
+    /**
+     * Sub-panes stacked below the price plot, top to bottom
+     * Panes size either by a share of the free height (ratio) or a fixed pixel height
+     * @returns {Array<Object>} Pane descriptors { id, ratio } or { id, height, result }
+     */
+    getSubPanes() {
+        const panes = [];
+        const { compact } = this.options;
+        const volume = STOCK_CONFIG.CHART.VOLUME;
+        const paneHeight = compact ? STOCK_CONFIG.CHART.INDICATORS.COMPACT_PANE_HEIGHT : STOCK_CONFIG.CHART.INDICATORS.PANE_HEIGHT;
+
+        if (this.options.showVolume && this.points.some(point => point.volume > 0)) {
+            panes.push({ id: 'volume', ratio: this.options.volumeRatio || (compact ? volume.COMPACT_RATIO : volume.RATIO) });
+        }
+
+        this.getPaneIndicators().forEach(result => {
+            panes.push({ id: 'indicator', height: paneHeight, result });
+        });
+
+        return panes;
+    }
+
+    /**
+     * Split the canvas into the price plot and any sub-panes sharing its time axis
+     * @returns {Object} Layout { price, panes, bottom } where each area is
+     *                   { left, top, right, bottom, width, height }
+     */
+    getLayout() {
+        const padding = STOCK_CONFIG.CHART.PADDING;
+        const left = padding.LEFT;
+        const top = padding.TOP;
+        const right = Math.max(left + 1, this.width - padding.RIGHT);
+        const bottom = Math.max(top + 1, this.height - padding.BOTTOM);
+        const available = bottom - top;
+        const makeRect = (rectTop, rectBottom) => ({
+            left, top: rectTop, right, bottom: rectBottom, width: right - left, height: rectBottom - rectTop
+        });
+
+        const subPanes = this.getSubPanes();
+        const fixedHeight = subPanes
+            .filter(pane => pane.height)
+            .reduce((total, pane) => total + pane.height + STOCK_CONFIG.CHART.PANE_GAP, 0);
+        const flexible = Math.max(0, available - fixedHeight);
+
+        // Stack sub-panes upwards from the time axis; the price plot gets what remains
+        let cursor = bottom;
+        const panes = subPanes.reverse().map(pane => {
+            const height = pane.height || Math.max(STOCK_CONFIG.CHART.MIN_PANE_HEIGHT, Math.round(flexible * pane.ratio));
+            const rect = makeRect(cursor - height, cursor);
+            cursor -= height + STOCK_CONFIG.CHART.PANE_GAP;
+            return { ...pane, rect };
+        }).reverse();
+
+        return { price: makeRect(top, Math.max(top + 1, cursor)), panes, bottom };
+    }
+
+    /**
+     * Generate evenly spaced "nice" tick values covering a range
+     * @param {number} min - Range minimum
+     * @param {number} max - Range maximum
+     * @param {number} count - Desired number of ticks
+     * @returns {Object} Tick values and step { ticks, step }
+     */
+    static niceTicks(min, max, count) {
+        if (!isFinite(min) || !isFinite(max)) return { ticks: [], step: 0 };
+        if (min === max) return { ticks: [min], step: 0 };
+
+        const rawStep = (max - min) / Math.max(1, count);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const residual = rawStep / magnitude;
+        const niceResidual = residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1;
+        const step = niceResidual * magnitude;
+
+        const ticks = [];
+        for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+            ticks.push(parseFloat(value.toFixed(10)));
+        }
+
+        return { ticks, step };
+    }
+
+    /**
+     * Compute the price range of the visible points
+     * @param {Array<Object>} points - Visible points
+     * @returns {Object} { min, max }
+     */
+    getPriceRange(points) {
+        const useRange = this.isOhlcType();
+        let min = Infinity;
+        let max = -Infinity;
+
+        points.forEach(point => {
+            min = Math.min(min, useRange ? point.low : point.close);
+            max = Math.max(max, useRange ? point.high : point.close);
+        });
+
+        // Keep visible overlay values (e.g. Bollinger bands) inside the plot
+        this.getOverlays().forEach(overlay => {
+            overlay.lines.forEach(line => {
+                for (let i = this.viewStart; i < this.viewEnd; i++) {
+                    const value = line.values[i];
+                    if (value !== null) {
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
+                    }
+                }
+            });
+        });
+
+        if (min === max) {
+            const pad = Math.abs(min) * 0.01 || 1;
+            return { min: min - pad, max: max + pad };
+        }
+
+        // Pad in log space so the padding looks even at both ends
+        if (this.options.scale === 'log' && min > 0) {
+            const factor = Math.pow(10, (Math.log10(max) - Math.log10(min)) * 0.05);
+            return { min: min / factor, max: max * factor };
+        }
+
+        const pad = (max - min) * 0.05;
+        return { min: min - pad, max: max + pad };
+    }
+
+    /**
+     * Whether prices are currently mapped logarithmically
+     * Falls back to linear while the range includes zero or negative values
+     * @returns {boolean} True for an active log scale
+     */
+    isLogScale() {
+        return this.options.scale === 'log' && this.yScale && this.yScale.min > 0;
+    }
+
+    /**
+     * Switch the y-axis scale and redraw
+     * @param {string} scale - One of STOCK_CONFIG.CHART.SCALES
+     */
+    setScale(scale) {
+        if (!STOCK_CONFIG.CHART.SCALES.includes(scale)) {
+            console.warn(`Unsupported chart scale: ${scale}`);
+            return;
+        }
+
+        this.options.scale = scale;
+        this.render();
+    }
+
+    /**
+     * Price that percent mode measures change from: the first visible close
+     * @returns {number|null} Base price
+     */
+    getPercentBase() {
+        const first = this.points[this.viewStart];
+        return first && first.close > 0 ? first.close : null;
+    }
+
+    /**
+     * Price axis ticks for the current scale
+     * @returns {Object} { ticks, step } with ticks as prices and step in label units
+     */
+    getAxisTicks() {
+        const { min, max } = this.yScale;
+        const count = STOCK_CONFIG.CHART.GRID_LINES;
+
+        if (this.options.scale === 'percent') {
+            const base = this.getPercentBase();
+            if (base) {
+                const { ticks, step } = ChartManager.niceTicks((min / base - 1) * 100, (max / base - 1) * 100, count);
+                return { ticks: ticks.map(percent => base * (1 + percent / 100)), step };
+            }
+        }
+
+        if (this.isLogScale()) {
+            const ticks = ChartManager.logTicks(min, max, count);
+            if (ticks.length >= 2) {
+                const step = ticks.slice(1).reduce((smallest, tick, i) => Math.min(smallest, tick - ticks[i]), Infinity);
+                return { ticks, step };
+            }
+        }
+
+        return ChartManager.niceTicks(min, max, count);
+    }
+
+    /**
+     * Ticks on a log axis at 1-2-5 style values in each decade, picking the
+     * finest set of steps that does not crowd the axis
+     * @param {number} min - Range minimum (> 0)
+     * @param {number} max - Range maximum
+     * @param {number} count - Desired number of ticks
+     * @returns {Array<number>} Tick values (fewer than 2 when a log axis has no readable ticks)
+     */
+    static logTicks(min, max, count) {
+        const mantissaSets = [[1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 5], [1, 3], [1]];
+        const firstDecade = Math.floor(Math.log10(min));
+        const lastDecade = Math.ceil(Math.log10(max));
+        let ticks = [];
+
+        for (const mantissas of mantissaSets) {
+            ticks = [];
+            for (let decade = firstDecade; decade <= lastDecade; decade++) {
+                mantissas.forEach(mantissa => {
+                    const value = parseFloat((mantissa * Math.pow(10, decade)).toPrecision(12));
+                    if (value >= min && value <= max) ticks.push(value);
+                });
+            }
+            if (ticks.length <= count + 2) break;
+        }
+
+        return ticks;
+    }
+
+    /**
+     * X pixel position for a point index
+     * @param {number} index - Index into this.points
+     * @returns {number} X coordinate in CSS pixels
+     */
+    indexToX(index) {
+        const count = Math.max(1, this.viewEnd - this.viewStart);
+        const slot = this.plot.width / count;
+        return this.plot.left + (index - this.viewStart + 0.5) * slot;
+    }
+
+    /**
+     * Width of one bar slot in CSS pixels
+     * @returns {number} Slot width
+     */
+    getBarSpacing() {
+        return this.plot.width / Math.max(1, this.viewEnd - this.viewStart);
+    }
+
+    /**
+     * Y pixel position for a price
+     * @param {number} price - Price value
+     * @returns {number} Y coordinate in CSS pixels
+     */
+    priceToY(price) {
+        const { min, max } = this.yScale;
+
+        if (this.isLogScale()) {
+            const low = Math.log10(min);
+            const value = Math.log10(Math.max(price, min * 1e-6));
+            return this.plot.bottom - ((value - low) / (Math.log10(max) - low)) * this.plot.height;
+        }
+
+        return this.plot.bottom - ((price - min) / (max - min)) * this.plot.height;
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Schedule a redraw on the next animation frame
+     */
+    render() {
+        if (this.destroyed || this.frameRequest) return;
+
+        this.frameRequest = requestAnimationFrame(() => {
+            this.frameRequest = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Lay out and scale the frame, then paint it here or hand it to the chart worker
+     */
+    draw() {
+        // No renderer yet while the chart worker is starting
+        if (this.destroyed || this.width === 0 || this.height === 0 || (!this.ctx && !this.worker)) return;
+
+        if (this.animation) {
+            this.animation.progress = Math.min(1, (performance.now() - this.animation.start) / this.animation.duration);
+        }
+
+        const points = this.prepareFrame();
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'frame', id: this.rendererId, state: this.getRenderState() });
+        } else {
+            this.paint(points);
+        }
+
+        if (this.animation) {
+            if (this.animation.progress < 1) {
+                this.render();
+            } else {
+                this.animation = null;
+            }
+        }
+    }
+
+    /**
+     * Compute the layout and price scale for the current view.
+     * Runs on the page even when a worker paints, since hover, zoom and
+     * drawing tools map pointer positions through the same geometry.
+     * @returns {Array<Object>} Visible points
+     */
+    prepareFrame() {
+        const points = this.getVisiblePoints();
+
+        if (points.length > 0) {
+            this.layout = this.getLayout();
+            this.plot = this.layout.price;
+            this.yScale = this.getPriceRange(points);
+        }
+
+        return points;
+    }
+
+    /**
+     * Paint a prepared frame onto the canvas
+     * @param {Array<Object>} points - Visible points from prepareFrame
+     */
+    paint(points) {
+        const ctx = this.ctx;
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = this.getColors().BACKGROUND;
+        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.font = STOCK_CONFIG.CHART.FONT;
+
+        if (points.length === 0) {
+            this.drawEmptyState();
+            return;
+        }
+
+        this.drawGrid();
+        this.drawSessions();
+        this.drawSeries(points);
+        this.drawOverlays();
+
+        if (this.drawings) {
+            this.drawings.draw();
+        }
+
+        this.drawLegend();
+        this.drawLastPrice(points[points.length - 1]);
+        this.layout.panes.forEach(pane => this.drawPane(pane, points));
+        this.drawTimeAxis(points);
+
+        if (this.hover) {
+            this.drawCrosshair();
+        }
+    }
+
+    drawEmptyState() {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.getColors().TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No chart data', this.width / 2, this.height / 2);
+    }
+
+    /**
+     * Draw horizontal price gridlines with labels on the price axis
+     */
+    drawGrid() {
+        const ctx = this.ctx;
+        const colors = this.getColors();
+        const { ticks, step } = this.getAxisTicks();
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = colors.GRID;
+        ctx.fillStyle = colors.TEXT;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        ticks.forEach(tick => {
+            const y = Math.round(this.priceToY(tick)) + 0.5;
+            if (y < this.plot.top || y > this.plot.bottom) return;
+
+            ctx.beginPath();
+            ctx.moveTo(this.plot.left, y);
+            ctx.lineTo(this.plot.right, y);
+            ctx.stroke();
+
+            ctx.fillText(this.formatAxisValue(tick, step), this.plot.right + 6, y);
+        });
+
+        // Price axis line
+        ctx.strokeStyle = colors.AXIS;
+        ctx.beginPath();
+        ctx.moveTo(this.plot.right + 0.5, this.plot.top);
+        ctx.lineTo(this.plot.right + 0.5, this.plot.bottom);
+        ctx.stroke();
+    }
+
+    /**
+     * Label for a value on the price axis
+     * @param {number} value - Axis value
+     * @param {number} step - Tick step of the axis
+     * @returns {string} Label text
+     */
+    formatAxisValue(value, step) {
+        const base = this.options.scale === 'percent' ? this.getPercentBase() : null;
+
+        if (base) {
+            return Utils.formatPercentage((value / base - 1) * 100, step >= 1 ? 0 : ChartManager.getDecimals(step), true);
+        }
+
+        return value.toFixed(ChartManager.getDecimals(step));
+    }
+
+    /**
+     * Number of decimals needed to display values at a given step
+     * @param {number} step - Tick step
+     * @returns {number} Decimal places
+     */
+    static getDecimals(step) {
+        if (!step || step >= 1) return step >= 100 ? 0 : 2;
+        return Math.min(6, Math.max(2, Math.ceil(-Math.log10(step))));
+    }
+
+    /**
+     * Series color based on direction versus the baseline price
+     * @param {Array<Object>} points - Visible points
+     * @returns {string} CSS color
+     */
+    getTrendColor(points) {
+        const colors = this.getColors();
+        const baseline = this.options.previousClose ?? points[0].close;
+        const last = points[points.length - 1].close;
+
+        if (last > baseline) return colors.UP;
+        if (last < baseline) return colors.DOWN;
+        return colors.LINE;
+    }
+
+    /**
+     * Whether the current chart type draws full OHLC bars
+     * @returns {boolean} True for every type except line and area
+     */
+    isOhlcType() {
+        return !['line', 'area'].includes(this.options.type);
+    }
+
+    /**
+     * Whether the chart plots price-driven bricks or columns rather than one bar per period
+     * @returns {boolean} True for Renko and point-and-figure charts
+     */
+    isBrickType() {
+        return this.options.type === 'renko' || this.options.type === 'pnf';
+    }
+
+    /**
+     * Switch the chart type and redraw
+     * @param {string} type - One of STOCK_CONFIG.CHART.TYPES
+     */
+    setType(type) {
+        if (!ChartManager.getAvailableTypes().includes(type)) {
+            console.warn(`Unsupported chart type: ${type}`);
+            return;
+        }
+
+        const transformed = ChartManager.getTransform(this.options.type) || ChartManager.getTransform(type);
+        this.options.type = type;
+
+        if (transformed) {
+            this.rebuildSeries();
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Smallest brick / box size the current series accepts
+     * @returns {number} Minimum price amount, 0 when unknown
+     */
+    getMinBrickSize() {
+        return window.ChartTransforms ? ChartTransforms.minBoxSize(this.sourcePoints) : 0;
+    }
+
+    /**
+     * Change the Renko brick / point-and-figure box size
+     * @param {number|null} size - Price amount, or null for STOCK_CONFIG.CHART.BRICKS.SIZE
+     */
+    setBrickSize(size) {
+        this.options.brickSize = size > 0 ? size : null;
+
+        if (this.isBrickType()) {
+            this.rebuildSeries();
+        }
+    }
+
+    drawSeries(points) {
+        const { series } = this.getRenderPoints(points);
+
+        switch (this.options.type) {
+            case 'area':
+                this.drawAreaSeries(series);
+                break;
+            case 'candlestick':
+            case 'heikin-ashi':
+                this.drawCandlestickSeries(series);
+                break;
+            case 'ohlc':
+                this.drawOhlcSeries(series);
+                break;
+            case 'renko':
+                this.drawRenkoSeries(series);
+                break;
+            case 'pnf':
+                this.drawPointFigureSeries(series);
+                break;
+            case 'line':
+            default:
+                this.drawLineSeries(series);
+        }
+    }
+
+    /**
+     * Trace the close prices as a canvas path
+     * @param {Array<Object>} points - Points to draw, positioned by their index
+     */
+    traceLine(points) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const x = this.indexToX(point.index);
+            const y = this.priceToY(point.close);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+    }
+
+    drawLineSeries(points) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.lineWidth = STOCK_CONFIG.CHART.LINE_WIDTH;
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = this.getTrendColor(points);
+        this.traceLine(points);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawAreaSeries(points) {
+        const ctx = this.ctx;
+        const color = this.getTrendColor(points);
+
+        ctx.save();
+        this.traceLine(points);
+        ctx.lineTo(this.indexToX(points[points.length - 1].index), this.plot.bottom);
+        ctx.lineTo(this.indexToX(points[0].index), this.plot.bottom);
+        ctx.closePath();
+
+        const gradient = ctx.createLinearGradient(0, this.plot.top, 0, this.plot.bottom);
+        gradient.addColorStop(0, color);
+        gradient.addColorStop(1, 'transparent');
+        ctx.globalAlpha = STOCK_CONFIG.CHART.AREA_OPACITY;
+        ctx.fillStyle = gradient;
+        ctx.fill();
+        ctx.restore();
+
+        this.drawLineSeries(points);
+    }
+
+    /**
+     * Color for a single bar based on its open and close
+     * @param {Object} point - OHLC point
+     * @returns {string} CSS color
+     */
+    getBarColor(point) {
+        const colors = this.getColors();
+        return point.close >= point.open ? colors.UP : colors.DOWN;
+    }
+
+    /**
+     * Drawn width of a bar, widened for bars merged by downsampling
+     * @param {Object} point - Point, optionally with a span of merged bars
+     * @param {number} ratio - Share of the slot to fill
+     * @returns {number} Width in CSS pixels
+     */
+    getBarWidth(point, ratio) {
+        return Math.max(1, Math.floor(this.getBarSpacing() * (point.span || 1) * ratio));
+    }
+
+    drawCandlestickSeries(points) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        points.forEach(point => {
+            const x = Math.round(this.indexToX(point.index));
+            const bodyWidth = this.getBarWidth(point, STOCK_CONFIG.CHART.CANDLE_WIDTH_RATIO);
+            const color = this.getBarColor(point);
+            const openY = this.priceToY(point.open);
+            const closeY = this.priceToY(point.close);
+            const bodyTop = Math.min(openY, closeY);
+            const bodyHeight = Math.max(1, Math.abs(closeY - openY));
+
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            // Wick
+            ctx.beginPath();
+            ctx.moveTo(x + 0.5, this.priceToY(point.high));
+            ctx.lineTo(x + 0.5, this.priceToY(point.low));
+            ctx.stroke();
+
+            // Body
+            ctx.fillRect(x - Math.floor(bodyWidth / 2), bodyTop, bodyWidth, bodyHeight);
+        });
+
+        ctx.restore();
+    }
+
+    drawOhlcSeries(points) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        points.forEach(point => {
+            const x = Math.round(this.indexToX(point.index)) + 0.5;
+            const tickWidth = this.getBarWidth(point, STOCK_CONFIG.CHART.CANDLE_WIDTH_RATIO / 2);
+            const openY = Math.round(this.priceToY(point.open)) + 0.5;
+            const closeY = Math.round(this.priceToY(point.close)) + 0.5;
+
+            ctx.strokeStyle = this.getBarColor(point);
+            ctx.beginPath();
+            ctx.moveTo(x, this.priceToY(point.high));
+            ctx.lineTo(x, this.priceToY(point.low));
+            ctx.moveTo(x - tickWidth, openY);
+            ctx.lineTo(x, openY);
+            ctx.moveTo(x, closeY);
+            ctx.lineTo(x + tickWidth, closeY);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    drawRenkoSeries(points) {
+        const ctx = this.ctx;
+
+        ctx.save();
+
+        points.forEach(point => {
+            const width = this.getBarWidth(point, STOCK_CONFIG.CHART.BRICKS.WIDTH_RATIO);
+            const top = this.priceToY(point.high);
+            const bottom = this.priceToY(point.low);
+
+            ctx.fillStyle = this.getBarColor(point);
+            ctx.fillRect(Math.round(this.indexToX(point.index) - width / 2), top, width, Math.max(1, bottom - top));
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Point-and-figure columns: a stack of X boxes for rising columns and O boxes
+     * for falling ones. Boxes too small to read collapse into a solid column.
+     * @param {Array<Object>} points - Columns from ChartTransforms.pointAndFigure
+     */
+    drawPointFigureSeries(points) {
+        const ctx = this.ctx;
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+
+        points.forEach(point => {
+            const box = point.boxSize;
+            const width = this.getBarWidth(point, STOCK_CONFIG.CHART.BRICKS.WIDTH_RATIO);
+            const x = this.indexToX(point.index);
+            const first = Math.round(Math.min(point.open, point.close) / box);
+            const last = Math.round(Math.max(point.open, point.close) / box);
+            const color = this.getBarColor(point);
+
+            if (this.priceToY(first * box - box / 2) - this.priceToY(first * box + box / 2) < 4) {
+                const top = this.priceToY(point.high);
+                ctx.fillStyle = color;
+                ctx.fillRect(Math.round(x - width / 2), top, width, Math.max(1, this.priceToY(point.low) - top));
+                return;
+            }
+
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+
+            for (let level = first; level <= last; level++) {
+                const top = this.priceToY(level * box + box / 2);
+                const bottom = this.priceToY(level * box - box / 2);
+                const y = (top + bottom) / 2;
+                const halfHeight = Math.max(1, (bottom - top) / 2 - 1);
+                const halfWidth = Math.max(1, width / 2 - 1);
+
+                if (point.direction === 'X') {
+                    ctx.moveTo(x - halfWidth, y - halfHeight);
+                    ctx.lineTo(x + halfWidth, y + halfHeight);
+                    ctx.moveTo(x + halfWidth, y - halfHeight);
+                    ctx.lineTo(x - halfWidth, y + halfHeight);
+                } else {
+                    const radius = Math.min(halfWidth, halfHeight);
+                    ctx.moveTo(x + radius, y);
+                    ctx.arc(x, y, radius, 0, Math.PI * 2);
+                }
+            }
+
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Trace an indicator series as a path, breaking at null values
+     * @param {Array<number|null>} values - Series aligned with this.points
+     * @param {Function} toY - Maps a value to a Y coordinate
+     */
+    traceValues(values, toY) {
+        const ctx = this.ctx;
+        let drawing = false;
+
+        ctx.beginPath();
+        for (let i = this.viewStart; i < this.viewEnd; i++) {
+            const value = values[i];
+            if (value === null || value === undefined) {
+                drawing = false;
+                continue;
+            }
+
+            const x = this.indexToX(i);
+            const y = toY(value);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
+            }
+        }
+    }
+
+    /**
+     * Draw indicator overlays on the price plot
+     */
+    drawOverlays() {
+        const ctx = this.ctx;
+        const toY = value => this.priceToY(value);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.plot.left, this.plot.top, this.plot.width, this.plot.height);
+        ctx.clip();
+
+        this.getOverlays().forEach(overlay => {
+            if (overlay.band) {
+                this.fillBand(overlay.band, toY);
+            }
+
+            overlay.lines.forEach(line => {
+                ctx.strokeStyle = line.color;
+                ctx.lineWidth = 1;
+                ctx.setLineDash(line.dash || []);
+                this.traceValues(line.values, toY);
+                ctx.stroke();
+            });
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Fill the region between two series
+     * @param {Object} band - { upper, lower, color }
+     * @param {Function} toY - Maps a value to a Y coordinate
+     */
+    fillBand(band, toY) {
+        const ctx = this.ctx;
+        const indices = [];
+
+        for (let i = this.viewStart; i < this.viewEnd; i++) {
+            if (band.upper[i] !== null && band.lower[i] !== null) {
+                indices.push(i);
+            }
+        }
+        if (indices.length < 2) return;
+
+        ctx.beginPath();
+        indices.forEach((index, i) => {
+            const x = this.indexToX(index);
+            if (i === 0) {
+                ctx.moveTo(x, toY(band.upper[index]));
+            } else {
+                ctx.lineTo(x, toY(band.upper[index]));
+            }
+        });
+        indices.slice().reverse().forEach(index => {
+            ctx.lineTo(this.indexToX(index), toY(band.lower[index]));
+        });
+        ctx.closePath();
+
+        ctx.globalAlpha = STOCK_CONFIG.CHART.INDICATORS.BAND_OPACITY;
+        ctx.fillStyle = band.color;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw indicator labels in the top-left corner of the price plot
+     */
+    drawLegend() {
+        const overlays = this.getOverlays();
+        if (overlays.length === 0 || this.options.compact) return;
+
+        const ctx = this.ctx;
+        let x = this.plot.left + 4;
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+
+        overlays.forEach(overlay => {
+            ctx.fillStyle = overlay.color;
+            ctx.fillText(overlay.label, x, this.plot.top + 2);
+            x += ctx.measureText(overlay.label).width + 10;
+        });
+    }
+
+    /**
+     * Draw a sub-pane below the price plot
+     * @param {Object} pane - Pane descriptor with its layout rect
+     * @param {Array<Object>} points - Visible points
+     */
+    drawPane(pane, points) {
+        const ctx = this.ctx;
+        const rect = pane.rect;
+        const separatorY = Math.round(rect.top - STOCK_CONFIG.CHART.PANE_GAP / 2) + 0.5;
+
+        ctx.strokeStyle = this.getColors().GRID;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(rect.left, separatorY);
+        ctx.lineTo(rect.right, separatorY);
+        ctx.stroke();
+
+        switch (pane.id) {
+            case 'volume':
+                this.drawVolumePane(rect, points);
+                break;
+            case 'indicator':
+                this.drawIndicatorPane(rect, pane.result);
+                break;
+        }
+    }
+
+    /**
+     * Value range of an oscillator over the visible bars
+     * @param {Object} result - Indicator result
+     * @returns {Object} { min, max }
+     */
+    getIndicatorRange(result) {
+        if (result.range) return result.range;
+
+        let min = Infinity;
+        let max = -Infinity;
+        const series = result.lines.map(line => line.values);
+        if (result.histogram) series.push(result.histogram.values);
+
+        series.forEach(values => {
+            for (let i = this.viewStart; i < this.viewEnd; i++) {
+                if (values[i] !== null) {
+                    min = Math.min(min, values[i]);
+                    max = Math.max(max, values[i]);
+                }
+            }
+        });
+
+        if (!isFinite(min)) return { min: -1, max: 1 };
+
+        // Keep reference levels (e.g. the MACD zero line) in view
+        result.levels.forEach(level => {
+            min = Math.min(min, level);
+            max = Math.max(max, level);
+        });
+
+        const pad = (max - min) * 0.1 || 1;
+        return { min: min - pad, max: max + pad };
+    }
+
+    /**
+     * Draw an oscillator pane with its own y-scale
+     * @param {Object} rect - Pane area
+     * @param {Object} result - Indicator result
+     */
+    drawIndicatorPane(rect, result) {
+        const ctx = this.ctx;
+        const colors = this.getColors();
+        const range = this.getIndicatorRange(result);
+        const toY = value => rect.bottom - ((value - range.min) / (range.max - range.min)) * rect.height;
+        const decimals = range.max - range.min > 20 ? 0 : 2;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.left, rect.top, rect.width, rect.height);
+        ctx.clip();
+
+        // Reference levels
+        ctx.strokeStyle = colors.INDICATORS.LEVEL;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        result.levels.forEach(level => {
+            const y = Math.round(toY(level)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(rect.left, y);
+            ctx.lineTo(rect.right, y);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        if (result.histogram) {
+            const barWidth = Math.max(1, Math.floor(this.getBarSpacing() * STOCK_CONFIG.CHART.CANDLE_WIDTH_RATIO));
+            const zeroY = toY(0);
+
+            for (let i = this.viewStart; i < this.viewEnd; i++) {
+                const value = result.histogram.values[i];
+                if (value === null) continue;
+
+                const y = toY(value);
+                ctx.fillStyle = value >= 0 ? colors.UP : colors.DOWN;
+                ctx.fillRect(Math.round(this.indexToX(i)) - Math.floor(barWidth / 2), Math.min(y, zeroY), barWidth, Math.abs(zeroY - y));
+            }
+        }
+
+        result.lines.forEach(line => {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 1;
+            this.traceValues(line.values, toY);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+
+        // Pane label and scale
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = result.color;
+        ctx.fillText(result.label, rect.left + 4, rect.top + 2);
+
+        ctx.fillStyle = colors.TEXT;
+        ctx.textBaseline = 'middle';
+        const scaleLabels = result.range ? result.levels : [range.min, range.max];
+        scaleLabels.forEach(value => {
+            ctx.fillText(value.toFixed(decimals), rect.right + 6, toY(value));
+        });
+
+        ctx.strokeStyle = colors.AXIS;
+        ctx.beginPath();
+        ctx.moveTo(rect.right + 0.5, rect.top);
+        ctx.lineTo(rect.right + 0.5, rect.bottom);
+        ctx.stroke();
+    }
+
+    /**
+     * Draw volume bars colored against the previous bar's close
+     * @param {Object} rect - Pane area
+     * @param {Array<Object>} points - Visible points
+     */
+    drawVolumePane(rect, points) {
+        const ctx = this.ctx;
+        const colors = this.getColors();
+        const { bars } = this.getRenderPoints(points);
+        const maxVolume = bars.reduce((max, point) => Math.max(max, point.volume), 0);
+        if (maxVolume <= 0) return;
+
+        ctx.save();
+        ctx.globalAlpha = STOCK_CONFIG.CHART.VOLUME.OPACITY;
+
+        bars.forEach(point => {
+            const start = point.start ?? point.index;
+            const reference = start > 0 ? this.points[start - 1].close : (this.options.previousClose ?? point.open);
+            const barWidth = this.getBarWidth(point, STOCK_CONFIG.CHART.CANDLE_WIDTH_RATIO);
+            const barHeight = (point.volume / maxVolume) * rect.height;
+            const x = Math.round(this.indexToX(point.index)) - Math.floor(barWidth / 2);
+
+            ctx.fillStyle = point.close >= reference ? colors.UP : colors.DOWN;
+            ctx.fillRect(x, rect.bottom - barHeight, barWidth, barHeight);
+        });
+
+        ctx.restore();
+
+        // Scale label is skipped when the pane is too short to fit it
+        if (rect.height >= 24) {
+            ctx.fillStyle = colors.TEXT;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(Utils.formatNumber(maxVolume), rect.right + 6, rect.top);
+        }
+    }
+
+    /**
+     * Show or hide the volume pane
+     * @param {boolean} visible - Volume pane visibility
+     */
+    setVolumeVisible(visible) {
+        this.options.showVolume = visible;
+        this.render();
+    }
+
+    /**
+     * Draw time labels along the bottom axis
+     * @param {Array<Object>} points - Visible points
+     */
+    drawTimeAxis(points) {
+        const ctx = this.ctx;
+        const bottom = this.layout.bottom;
+
+        ctx.strokeStyle = this.getColors().AXIS;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.plot.left, bottom + 0.5);
+        ctx.lineTo(this.plot.right, bottom + 0.5);
+        ctx.stroke();
+
+        if (points[0].time === null) return;
+
+        const spacing = this.getBarSpacing();
+        const stride = Math.max(1, Math.ceil(STOCK_CONFIG.CHART.MIN_LABEL_SPACING / spacing));
+
+        ctx.fillStyle = this.getColors().TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        for (let i = Math.floor(stride / 2); i < points.length; i += stride) {
+            const x = this.indexToX(this.viewStart + i);
+            ctx.fillText(this.formatTimeLabel(points[i].time), x, bottom + 5);
+        }
+    }
+
+    /**
+     * Format a time axis label appropriate for the chart period
+     * @param {number} time - Milliseconds since epoch
+     * @returns {string} Label text
+     */
+    formatTimeLabel(time) {
+        return ChartManager.getTimeFormatter(this.options.period).format(new Date(time));
+    }
+
+    /**
+     * Cached Intl formatter for a chart period
+     * @param {string} period - Chart period (1D, 5D, 1M, ...)
+     * @returns {Intl.DateTimeFormat} Formatter
+     */
+    static getTimeFormatter(period) {
+        if (!ChartManager.timeFormatters) {
+            ChartManager.timeFormatters = new Map();
+        }
+
+        if (!ChartManager.timeFormatters.has(period)) {
+            const formats = {
+                '1D': { hour: '2-digit', minute: '2-digit', hour12: false },
+                '5D': { weekday: 'short', day: 'numeric' },
+                '1M': { month: 'short', day: 'numeric' },
+                '3M': { month: 'short', day: 'numeric' },
+                'YTD': { month: 'short', day: 'numeric' }
+            };
+
+            ChartManager.timeFormatters.set(period, new Intl.DateTimeFormat(STOCK_CONFIG.FORMAT.CURRENCY_LOCALE, {
+                ...(formats[period] || { month: 'short', year: '2-digit' }),
+                timeZone: STOCK_CONFIG.FORMAT.TIMEZONE
+            }));
+        }
+
+        return ChartManager.timeFormatters.get(period);
+    }
+
+    /**
+     * Highlight the latest price on the price axis
+     * @param {Object} point - Last visible point
+     */
+    drawLastPrice(point) {
+        const ctx = this.ctx;
+        const y = Math.round(this.priceToY(point.close));
+        const { step } = this.getAxisTicks();
+        const label = this.formatAxisValue(point.close, step);
+        const labelHeight = 16;
+
+        ctx.fillStyle = this.getTrendColor(this.getVisiblePoints());
+        ctx.fillRect(this.plot.right + 1, y - labelHeight / 2, STOCK_CONFIG.CHART.PADDING.RIGHT - 1, labelHeight);
+
+        ctx.fillStyle = this.getColors().LABEL_TEXT;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, this.plot.right + 6, y);
+    }
+
+    // ==================== INTERACTION ====================
+
+    /**
+     * Register a DOM listener that is removed on destroy()
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     * @param {Object} options - Listener options
+     */
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Wire up crosshair and tooltip handling for mouse and touch
+     * Touch devices show the crosshair after a tap-and-hold so normal scrolling still works
+     */
+    bindInteractions() {
+        const tooltipConfig = STOCK_CONFIG.CHART.TOOLTIP;
+
+        this.listen(this.canvas, 'mousemove', (e) => {
+            if (!this.drag) this.updateHover(e.clientX, e.clientY);
+        });
+        this.listen(this.canvas, 'mouseleave', () => this.clearHover());
+
+        this.bindZoomAndPan();
+
+        let touchStart = null;
+
+        this.listen(this.canvas, 'touchstart', (e) => {
+            if (e.touches.length !== 1 || this.isDrawing()) {
+                this.cancelLongPress();
+                return;
+            }
+
+            const touch = e.touches[0];
+            touchStart = { x: touch.clientX, y: touch.clientY };
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.updateHover(touchStart.x, touchStart.y);
+            }, tooltipConfig.LONG_PRESS_DELAY);
+        }, { passive: true });
+
+        this.listen(this.canvas, 'touchmove', (e) => {
+            const touch = e.touches[0];
+
+            if (this.pinch) {
+                return;
+            } else if (this.hover) {
+                // Crosshair is active: follow the finger instead of scrolling the page
+                e.preventDefault();
+                this.updateHover(touch.clientX, touch.clientY);
+            } else if (this.longPressTimer && touchStart &&
+                       Math.hypot(touch.clientX - touchStart.x, touch.clientY - touchStart.y) > tooltipConfig.TOUCH_MOVE_TOLERANCE) {
+                this.cancelLongPress();
+            }
+        }, { passive: false });
+
+        const endTouch = () => {
+            this.cancelLongPress();
+            this.clearHover();
+            touchStart = null;
+        };
+        this.listen(this.canvas, 'touchend', endTouch);
+        this.listen(this.canvas, 'touchcancel', endTouch);
+    }
+
+    /**
+     * Wheel and pinch zoom, mouse drag panning
+     */
+    bindZoomAndPan() {
+        const zoom = STOCK_CONFIG.CHART.ZOOM;
+        const canvasX = clientX => clientX - this.canvas.getBoundingClientRect().left;
+
+        this.canvas.style.cursor = 'grab';
+
+        this.listen(this.canvas, 'wheel', (e) => {
+            if (this.points.length === 0) return;
+
+            e.preventDefault();
+            this.zoomAt(e.deltaY > 0 ? zoom.WHEEL_FACTOR : 1 / zoom.WHEEL_FACTOR, canvasX(e.clientX));
+        }, { passive: false });
+
+        this.listen(this.canvas, 'mousedown', (e) => {
+            if (e.button !== 0 || !this.plot || this.isDrawing()) return;
+
+            this.drag = {
+                startX: e.clientX,
+                viewStart: this.viewStart,
+                count: this.viewEnd - this.viewStart,
+                spacing: this.getBarSpacing(),
+                moved: false
+            };
+        });
+
+        this.listen(window, 'mousemove', (e) => {
+            if (!this.drag) return;
+
+            const dx = e.clientX - this.drag.startX;
+            if (!this.drag.moved) {
+                if (Math.abs(dx) < zoom.DRAG_THRESHOLD) return;
+                this.drag.moved = true;
+                this.canvas.style.cursor = 'grabbing';
+                this.clearHover();
+            }
+
+            const start = this.drag.viewStart - dx / this.drag.spacing;
+            this.setViewRange(start, start + this.drag.count);
+        });
+
+        this.listen(window, 'mouseup', () => {
+            if (!this.drag) return;
+
+            if (this.drag.moved) {
+                this.suppressNextClick();
+
+                // The click ending the drag is dispatched after mouseup; keep reporting the drag until then
+                this.justDragged = true;
+                setTimeout(() => {
+                    this.justDragged = false;
+                }, 0);
+            }
+
+            this.drag = null;
+            this.canvas.style.cursor = 'grab';
+        });
+
+        this.listen(this.canvas, 'touchstart', (e) => {
+            if (e.touches.length !== 2 || !this.plot) return;
+
+            const [a, b] = e.touches;
+            this.clearHover();
+            this.pinch = {
+                distance: Math.max(1, Math.abs(a.clientX - b.clientX)),
+                midX: canvasX((a.clientX + b.clientX) / 2),
+                viewStart: this.viewStart,
+                count: this.viewEnd - this.viewStart,
+                spacing: this.getBarSpacing()
+            };
+        }, { passive: true });
+
+        this.listen(this.canvas, 'touchmove', (e) => {
+            if (!this.pinch || e.touches.length !== 2) return;
+
+            e.preventDefault();
+            const [a, b] = e.touches;
+            const pinch = this.pinch;
+            const distance = Math.max(1, Math.abs(a.clientX - b.clientX));
+            const midX = canvasX((a.clientX + b.clientX) / 2);
+
+            // Zoom around the starting midpoint, then pan by how far the midpoint moved
+            const ratio = Math.min(1, Math.max(0, (pinch.midX - this.plot.left) / this.plot.width));
+            const anchorIndex = pinch.viewStart + ratio * pinch.count;
+            const count = pinch.count * (pinch.distance / distance);
+            const start = anchorIndex - ratio * count - (midX - pinch.midX) / pinch.spacing;
+
+            this.setViewRange(start, start + count);
+        }, { passive: false });
+
+        const endPinch = (e) => {
+            if (this.pinch && e.touches.length < 2) {
+                this.pinch = null;
+            }
+        };
+        this.listen(this.canvas, 'touchend', endPinch);
+        this.listen(this.canvas, 'touchcancel', endPinch);
+    }
+
+    /**
+     * Swallow the click that follows a drag so parent click handlers
+     * (e.g. the stock card's expand toggle) do not fire
+     */
+    suppressNextClick() {
+        const swallow = (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+        };
+
+        window.addEventListener('click', swallow, true);
+        setTimeout(() => window.removeEventListener('click', swallow, true), 0);
+    }
+
+    /**
+     * Whether the pointer is panning the chart, or just finished a pan whose click is still pending
+     * @returns {boolean} True during a drag and until the next tick after it ends
+     */
+    isDragging() {
+        return Boolean((this.drag && this.drag.moved) || this.justDragged);
+    }
+
+    /**
+     * Whether a drawing tool currently owns pointer input
+     * @returns {boolean} True while a tool is selected
+     */
+    isDrawing() {
+        return Boolean(this.drawings && this.drawings.isActive());
+    }
+
+    /**
+     * Select a drawing tool, or null to go back to panning
+     * @param {string|null} tool - One of STOCK_CONFIG.CHART.DRAWINGS.TOOLS, 'erase' or null
+     */
+    setDrawingTool(tool) {
+        if (this.drawings && this.options.interactive) {
+            this.drawings.setTool(tool);
+        }
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+
+    /**
+     * Bar index under an X coordinate
+     * @param {number} x - X coordinate in CSS pixels
+     * @returns {number} Index into this.points, clamped to the visible range
+     */
+    xToIndex(x) {
+        const index = this.viewStart + Math.floor((x - this.plot.left) / this.getBarSpacing());
+        return Math.min(this.viewEnd - 1, Math.max(this.viewStart, index));
+    }
+
+    /**
+     * Price at a Y coordinate on the price plot
+     * @param {number} y - Y coordinate in CSS pixels
+     * @returns {number} Price
+     */
+    yToPrice(y) {
+        const { min, max } = this.yScale;
+        const ratio = (this.plot.bottom - y) / this.plot.height;
+
+        if (this.isLogScale()) {
+            return Math.pow(10, Math.log10(min) + ratio * (Math.log10(max) - Math.log10(min)));
+        }
+
+        return min + ratio * (max - min);
+    }
+
+    /**
+     * Move the crosshair to a viewport position
+     * @param {number} clientX - Viewport X
+     * @param {number} clientY - Viewport Y
+     */
+    updateHover(clientX, clientY) {
+        if (!this.plot || this.points.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+
+        if (x < this.plot.left || x > this.plot.right || y < this.plot.top || y > this.layout.bottom) {
+            this.clearHover();
+            return;
+        }
+
+        this.hover = { index: this.xToIndex(x), x, y };
+        this.showTooltip();
+        this.render();
+    }
+
+    clearHover() {
+        if (!this.hover) return;
+
+        this.hover = null;
+        this.hideTooltip();
+        this.render();
+    }
+
+    /**
+     * Draw the crosshair lines and the hovered price label
+     */
+    drawCrosshair() {
+        const ctx = this.ctx;
+        const colors = this.getColors();
+        const x = Math.round(this.indexToX(this.hover.index)) + 0.5;
+        const y = Math.round(this.hover.y) + 0.5;
+
+        ctx.save();
+        ctx.strokeStyle = colors.CROSSHAIR;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+
+        ctx.beginPath();
+        ctx.moveTo(x, this.plot.top);
+        ctx.lineTo(x, this.layout.bottom);
+        ctx.moveTo(this.plot.left, y);
+        ctx.lineTo(this.plot.right, y);
+        ctx.stroke();
+        ctx.restore();
+
+        // Price label on the axis while the pointer is over the price plot
+        if (this.hover.y <= this.plot.bottom) {
+            const { step } = this.getAxisTicks();
+            const label = this.formatAxisValue(this.yToPrice(this.hover.y), step);
+
+            ctx.fillStyle = colors.CROSSHAIR;
+            ctx.fillRect(this.plot.right + 1, y - 8, STOCK_CONFIG.CHART.PADDING.RIGHT - 1, 16);
+            ctx.fillStyle = colors.LABEL_TEXT;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(label, this.plot.right + 6, y);
+        }
+    }
+
+    /**
+     * Create the tooltip element inside the chart container
+     * @returns {HTMLElement} Tooltip element
+     */
+    getTooltipElement() {
+        if (!this.tooltip) {
+            const container = this.canvas.parentElement;
+            if (getComputedStyle(container).position === 'static') {
+                container.style.position = 'relative';
+            }
+
+            this.tooltip = document.createElement('div');
+            this.tooltip.className = 'chart-tooltip';
+            this.tooltip.setAttribute('role', 'tooltip');
+            Object.assign(this.tooltip.style, {
+                position: 'absolute',
+                pointerEvents: 'none',
+                zIndex: 10,
+                padding: '6px 8px',
+                borderRadius: '4px',
+                font: STOCK_CONFIG.CHART.FONT,
+                lineHeight: '1.5',
+                whiteSpace: 'nowrap',
+                display: 'none'
+            });
+            container.appendChild(this.tooltip);
+        }
+
+        return this.tooltip;
+    }
+
+    /**
+     * Tooltip rows for the hovered bar
+     * @param {number} index - Index into this.points
+     * @returns {Array<Array<string>>} [label, value] pairs
+     */
+    getTooltipRows(index) {
+        const point = this.points[index];
+        const rows = [];
+
+        if (point.time !== null) {
+            rows.push(['', this.formatTooltipTime(point.time)]);
+        }
+
+        if (this.options.type === 'pnf') {
+            rows.push(
+                ['Column', point.direction === 'X' ? 'Rising (X)' : 'Falling (O)'],
+                ['From', Utils.formatCurrency(point.open)],
+                ['To', Utils.formatCurrency(point.close)],
+                ['Box', Utils.formatCurrency(point.boxSize)]
+            );
+        } else if (this.options.type === 'renko') {
+            rows.push(
+                ['Open', Utils.formatCurrency(point.open)],
+                ['Close', Utils.formatCurrency(point.close)],
+                ['Brick', Utils.formatCurrency(point.brickSize)]
+            );
+        } else {
+            rows.push(
+                ['Open', Utils.formatCurrency(point.open)],
+                ['High', Utils.formatCurrency(point.high)],
+                ['Low', Utils.formatCurrency(point.low)],
+                ['Close', Utils.formatCurrency(point.close)]
+            );
+        }
+
+        if (point.volume > 0) {
+            rows.push(['Volume', Utils.formatNumber(point.volume)]);
+        }
+
+        const base = this.options.scale === 'percent' ? this.getPercentBase() : null;
+        if (base) {
+            rows.push(['Change', Utils.formatPercentage((point.close / base - 1) * 100, 2, true)]);
+        }
+
+        this.indicatorResults.forEach(result => {
+            result.lines.forEach(line => {
+                const value = line.values[index];
+                if (value === null || value === undefined) return;
+
+                const label = result.lines.length > 1 ? `${result.label} ${line.label}` : result.label;
+                const formatted = result.placement === 'overlay' ? Utils.formatCurrency(value) : value.toFixed(2);
+                rows.push([label, formatted, line.color]);
+            });
+        });
+
+        return rows;
+    }
+
+    /**
+     * Full date and time for the tooltip header
+     * @param {number} time - Milliseconds since epoch
+     * @returns {string} Formatted timestamp
+     */
+    formatTooltipTime(time) {
+        const intraday = ['1D', '5D'].includes(this.options.period);
+        return new Date(time).toLocaleString(STOCK_CONFIG.FORMAT.CURRENCY_LOCALE, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            ...(intraday ? { hour: '2-digit', minute: '2-digit' } : {}),
+            timeZone: STOCK_CONFIG.FORMAT.TIMEZONE
+        });
+    }
+
+    showTooltip() {
+        const tooltip = this.getTooltipElement();
+        const palette = this.getColors().TOOLTIP;
+        const offset = STOCK_CONFIG.CHART.TOOLTIP.OFFSET;
+
+        tooltip.innerHTML = this.getTooltipRows(this.hover.index).map(([label, value, color]) => label
+            ? `<div><span style="opacity: 0.7;${color ? ` color: ${color};` : ''}">${label}</span> <strong>${value}</strong></div>`
+            : `<div><strong>${value}</strong></div>`
+        ).join('');
+
+        Object.assign(tooltip.style, {
+            display: 'block',
+            background: palette.BACKGROUND,
+            color: palette.TEXT,
+            border: `1px solid ${palette.BORDER}`
+        });
+
+        // Flip to the other side of the pointer near the right or bottom edge
+        const canvasLeft = this.canvas.offsetLeft;
+        const canvasTop = this.canvas.offsetTop;
+        let left = this.hover.x + offset;
+        let top = this.hover.y + offset;
+
+        if (left + tooltip.offsetWidth > this.width) {
+            left = this.hover.x - offset - tooltip.offsetWidth;
+        }
+        if (top + tooltip.offsetHeight > this.height) {
+            top = Math.max(0, this.hover.y - offset - tooltip.offsetHeight);
+        }
+
+        tooltip.style.left = `${canvasLeft + Math.max(0, left)}px`;
+        tooltip.style.top = `${canvasTop + top}px`;
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style.display = 'none';
+        }
+    }
+
+    /**
+     * Width of a label in the chart font, also available while a worker owns the canvas
+     * @param {string} text - Label text
+     * @returns {number} Width in CSS pixels
+     */
+    measureText(text) {
+        if (!this.ctx && !ChartManager.measureContext) {
+            ChartManager.measureContext = document.createElement('canvas').getContext('2d');
+        }
+
+        const ctx = this.ctx || ChartManager.measureContext;
+        ctx.font = STOCK_CONFIG.CHART.FONT;
+        return ctx.measureText(text).width;
+    }
+
+    // ==================== THEME ====================
+
+    /**
+     * Resolve the active dashboard theme, following the system preference for 'auto'
+     * @returns {string} 'light' or 'dark'
+     */
+    static getThemeName() {
+        const theme = document.documentElement.getAttribute('data-theme') || 'dark';
+
+        if (theme === 'auto') {
+            return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        }
+
+        return theme === 'light' ? 'light' : 'dark';
+    }
+
+    /**
+     * Chart colors for a theme: the theme palette merged over STOCK_CONFIG.CHART.COLORS
+     * @param {string} theme - 'light' or 'dark'
+     * @returns {Object} Palette with the keys of STOCK_CONFIG.CHART.COLORS plus BACKGROUND, TITLE and TOOLTIP
+     */
+    static getPalette(theme) {
+        if (!ChartManager.palettes.has(theme)) {
+            const base = STOCK_CONFIG.CHART.COLORS;
+            const overrides = STOCK_CONFIG.CHART.THEMES[theme.toUpperCase()] || {};
+
+            ChartManager.palettes.set(theme, {
+                ...base,
+                ...overrides,
+                INDICATORS: { ...base.INDICATORS, ...overrides.INDICATORS }
+            });
+        }
+
+        return ChartManager.palettes.get(theme);
+    }
+
+    /**
+     * Colors for this chart's current theme
+     * @returns {Object} Palette from getPalette
+     */
+    getColors() {
+        return ChartManager.getPalette(this.theme);
+    }
+
+    /**
+     * Start watching the dashboard theme. Changes to data-theme on the document, and
+     * system color scheme changes while the theme is 'auto', are announced once for
+     * all charts as a 'chartThemeChanged' window event with { theme }.
+     */
+    static watchTheme() {
+        if (ChartManager.themeWatcher) return;
+
+        let current = ChartManager.getThemeName();
+        const check = () => {
+            const theme = ChartManager.getThemeName();
+            if (theme === current) return;
+
+            current = theme;
+            window.dispatchEvent(new CustomEvent('chartThemeChanged', { detail: { theme } }));
+        };
+
+        const observer = new MutationObserver(check);
+        observer.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+
+        const query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        if (query) {
+            query.addEventListener('change', check);
+        }
+
+        ChartManager.themeWatcher = { observer, query };
+    }
+
+    bindTheme() {
+        ChartManager.watchTheme();
+        this.listen(window, 'chartThemeChanged', (e) => this.setTheme(e.detail.theme));
+    }
+
+    /**
+     * Repaint in another theme. Indicator colors are part of their results, so those are recomputed.
+     * @param {string} theme - 'light' or 'dark'
+     */
+    setTheme(theme) {
+        if (theme === this.theme) return;
+
+        this.theme = theme;
+        this.computeIndicators();
+
+        if (this.hover) {
+            this.showTooltip();
+        }
+        this.render();
+    }
+
+    // ==================== ACCESSIBILITY ====================
+
+    /**
+     * Expose the chart to assistive technology: a generated summary as its label,
+     * arrow-key navigation between bars announced through a live region, and an
+     * optional data table view
+     */
+    initAccessibility() {
+        this.canvas.setAttribute('role', 'img');
+        this.canvas.setAttribute('tabindex', '0');
+
+        this.listen(this.canvas, 'keydown', (e) => this.handleKeydown(e));
+        this.listen(this.canvas, 'blur', () => this.clearHover());
+
+        if (this.options.showDataTable) {
+            this.setDataTableVisible(true);
+        }
+    }
+
+    /**
+     * Whether update animations should be skipped for the user's motion preference
+     * @returns {boolean} True when reduced motion is requested and respected
+     */
+    static prefersReducedMotion() {
+        return STOCK_CONFIG.UI.ACCESSIBILITY.REDUCED_MOTION && Boolean(window.matchMedia) &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Refresh the summary and data table once changes settle
+     */
+    scheduleDescription() {
+        if (this.options.headless || this.destroyed) return;
+
+        clearTimeout(this.descriptionTimer);
+        this.descriptionTimer = setTimeout(() => {
+            this.descriptionTimer = null;
+            this.updateDescription();
+        }, 250);
+    }
+
+    updateDescription() {
+        if (this.destroyed) return;
+
+        this.canvas.setAttribute('aria-label', this.getSummary());
+
+        if (this.dataTable) {
+            this.renderDataTable();
+        }
+    }
+
+    /**
+     * Plain-language summary of the visible range
+     * @returns {string} Summary with the range, last price, change, high and low
+     */
+    getSummary() {
+        const points = this.points.slice(this.viewStart, this.viewEnd);
+        const name = [this.options.symbol, this.options.period].filter(Boolean).join(' ');
+
+        if (points.length === 0) return `${name} chart, no data`;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const high = points.reduce((max, point) => Math.max(max, point.high), -Infinity);
+        const low = points.reduce((min, point) => Math.min(min, point.low), Infinity);
+        const base = this.options.previousClose ?? first.close;
+        const change = last.close - base;
+
+        const range = first.time !== null
+            ? `, ${this.formatTooltipTime(first.time)} to ${this.formatTooltipTime(last.time)}`
+            : '';
+        const percent = base ? ` (${Utils.formatPercentage((change / base) * 100, 2, true)})` : '';
+
+        return `${name} chart${range}. Last ${Utils.formatCurrency(last.close)}, ` +
+            `change ${change >= 0 ? '+' : ''}${Utils.formatCurrency(change)}${percent}. ` +
+            `High ${Utils.formatCurrency(high)}, low ${Utils.formatCurrency(low)}.`;
+    }
+
+    /**
+     * Arrow keys move between bars, Shift moves further, Home/End jump to the ends
+     * and Escape leaves keyboard navigation
+     * @param {KeyboardEvent} e - Keydown event on the canvas
+     */
+    handleKeydown(e) {
+        if (this.points.length === 0 || !this.plot) return;
+
+        const current = this.hover ? this.hover.index : null;
+        const step = e.shiftKey ? STOCK_CONFIG.UI.ACCESSIBILITY.CHART_KEY_STEP : 1;
+        let index;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                index = current === null ? this.viewEnd - 1 : current - step;
+                break;
+            case 'ArrowRight':
+                index = current === null ? this.viewEnd - 1 : current + step;
+                break;
+            case 'Home':
+                index = 0;
+                break;
+            case 'End':
+                index = this.points.length - 1;
+                break;
+            case 'Escape':
+                this.clearHover();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        this.focusPoint(index);
+    }
+
+    /**
+     * Put the crosshair on a bar, scrolling the view to it, and announce its values
+     * @param {number} index - Index into this.points
+     */
+    focusPoint(index) {
+        index = Math.max(0, Math.min(this.points.length - 1, index));
+
+        const count = this.viewEnd - this.viewStart;
+        if (index < this.viewStart) {
+            this.setViewRange(index, index + count);
+        } else if (index >= this.viewEnd) {
+            this.setViewRange(index - count + 1, index + 1);
+        }
+
+        // Scale for the new view so the crosshair lands on the bar's close
+        this.prepareFrame();
+
+        this.hover = { index, x: this.indexToX(index), y: this.getFocusY(index) };
+        if (this.options.interactive) {
+            this.showTooltip();
+        }
+        this.render();
+
+        this.announce(this.getTooltipRows(index).map(([label, value]) => (label ? `${label} ${value}` : value)).join(', '));
+    }
+
+    /**
+     * Vertical crosshair position for a bar focused from the keyboard
+     * @param {number} index - Index into this.points
+     * @returns {number} Y coordinate of the bar's close
+     */
+    getFocusY(index) {
+        return this.priceToY(this.points[index].close);
+    }
+
+    /**
+     * Read a message out through the chart's live region
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (!STOCK_CONFIG.UI.ACCESSIBILITY.ARIA_LIVE_UPDATES) return;
+
+        if (!this.liveRegion) {
+            this.liveRegion = document.createElement('div');
+            this.liveRegion.className = 'chart-live-region';
+            this.liveRegion.setAttribute('aria-live', 'polite');
+            this.liveRegion.setAttribute('aria-atomic', 'true');
+            // Visually hidden but still read
+            Object.assign(this.liveRegion.style, {
+                position: 'absolute',
+                width: '1px',
+                height: '1px',
+                overflow: 'hidden',
+                clip: 'rect(0 0 0 0)',
+                whiteSpace: 'nowrap'
+            });
+            this.canvas.parentElement.appendChild(this.liveRegion);
+        }
+
+        this.liveRegion.textContent = message;
+    }
+
+    /**
+     * Show or hide the data table view below the chart
+     * @param {boolean} visible - Data table visibility
+     */
+    setDataTableVisible(visible) {
+        this.options.showDataTable = visible;
+
+        if (visible && !this.dataTable) {
+            this.dataTable = document.createElement('div');
+            this.dataTable.className = 'chart-data-table';
+            this.dataTable.setAttribute('role', 'region');
+            this.dataTable.setAttribute('aria-label', `${this.options.symbol || 'Chart'} data table`);
+            // Scrollable regions need to be focusable for keyboard users
+            this.dataTable.tabIndex = 0;
+            Object.assign(this.dataTable.style, {
+                maxHeight: `${STOCK_CONFIG.UI.ACCESSIBILITY.CHART_TABLE_HEIGHT}px`,
+                overflow: 'auto'
+            });
+            this.canvas.parentElement.insertAdjacentElement('afterend', this.dataTable);
+            this.renderDataTable();
+        } else if (!visible && this.dataTable) {
+            this.dataTable.remove();
+            this.dataTable = null;
+        }
+    }
+
+    renderDataTable() {
+        const maxRows = STOCK_CONFIG.UI.ACCESSIBILITY.CHART_TABLE_MAX_ROWS;
+        const { columns, rows } = this.getTableData();
+        const shown = rows.slice(-maxRows);
+        const note = shown.length < rows.length ? ` Showing the most recent ${shown.length} of ${rows.length} rows.` : '';
+
+        this.dataTable.innerHTML = `
+            <table>
+                <caption>${Utils.sanitizeHTML(this.getSummary() + note)}</caption>
+                <thead>
+                    <tr>${columns.map(column => `<th scope="col">${column}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${shown.map(row => `
+                        <tr>${row.map((cell, i) => (i === 0 ? `<th scope="row">${cell}</th>` : `<td>${cell}</td>`)).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Rows for the data table view, one per visible bar
+     * @returns {Object} { columns, rows } with rows as arrays of display strings
+     */
+    getTableData() {
+        const points = this.points.slice(this.viewStart, this.viewEnd);
+        const hasVolume = points.some(point => point.volume > 0);
+        const columns = ['Time', 'Open', 'High', 'Low', 'Close', ...(hasVolume ? ['Volume'] : [])];
+
+        const rows = points.map(point => [
+            point.time !== null ? this.formatTooltipTime(point.time) : `#${point.index + 1}`,
+            Utils.formatCurrency(point.open),
+            Utils.formatCurrency(point.high),
+            Utils.formatCurrency(point.low),
+            Utils.formatCurrency(point.close),
+            ...(hasVolume ? [Utils.formatNumber(point.volume)] : [])
+        ]);
+
+        return { columns, rows };
+    }
+
+    // ==================== OFFSCREEN RENDERING ====================
+
+    /**
+     * Shared chart worker, started on first use. The worker posts 'ready' once its
+     * scripts have loaded; a worker that fails before then (missing script, import
+     * or syntax error) is dropped and charts paint on the main thread.
+     * @returns {Promise<Worker|null>} Ready worker, or null when OffscreenCanvas rendering is unavailable
+     */
+    static getWorker() {
+        if (ChartManager.workerReady) return ChartManager.workerReady;
+
+        const supported = typeof OffscreenCanvas !== 'undefined' && typeof Worker !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+
+        if (!supported) {
+            ChartManager.worker = null;
+            ChartManager.workerReady = Promise.resolve(null);
+            return ChartManager.workerReady;
+        }
+
+        ChartManager.workerReady = new Promise(resolve => {
+            let worker;
+
+            try {
+                worker = new Worker(STOCK_CONFIG.CHART.OFFSCREEN.WORKER_URL);
+            } catch (error) {
+                Utils.log('warn', 'Chart worker unavailable, rendering on the main thread', error);
+                ChartManager.worker = null;
+                resolve(null);
+                return;
+            }
+
+            const handleReady = (e) => {
+                if (!e.data || e.data.type !== 'ready') return;
+
+                worker.removeEventListener('message', handleReady);
+                ChartManager.worker = worker;
+                resolve(worker);
+            };
+
+            worker.addEventListener('message', handleReady);
+            worker.addEventListener('error', (e) => {
+                if (ChartManager.worker === worker) {
+                    ChartManager.handleWorkerFailure(worker, e.message);
+                    return;
+                }
+
+                // Failed while loading: nothing has been transferred yet, so fall back safely
+                console.warn('Chart worker failed to start, rendering on the main thread:', e.message);
+                worker.removeEventListener('message', handleReady);
+                worker.terminate();
+                ChartManager.worker = null;
+                resolve(null);
+            });
+        });
+
+        return ChartManager.workerReady;
+    }
+
+    /**
+     * Give up on a worker that failed after it was ready: its canvases may never be
+     * painted again, so every chart it rendered moves to a new main-thread canvas
+     * and later charts paint on the main thread
+     * @param {Worker} worker - Failed chart worker
+     * @param {string} message - Error message
+     */
+    static handleWorkerFailure(worker, message) {
+        console.warn('Chart worker failed, rendering on the main thread:', message);
+
+        worker.terminate();
+        ChartManager.worker = null;
+        ChartManager.workerReady = Promise.resolve(null);
+
+        const charts = Array.from(ChartManager.workerCharts);
+        ChartManager.workerCharts.clear();
+        charts.forEach(chart => chart.recoverRenderer());
+    }
+
+    /**
+     * Replace a canvas owned by a failed worker with a fresh one painted here.
+     * A transferred canvas can never get a main-thread context, so the element is
+     * swapped, keeping its attributes and the listeners bound to it.
+     */
+    recoverRenderer() {
+        if (this.destroyed) return;
+
+        const oldCanvas = this.canvas;
+        const canvas = oldCanvas.cloneNode(false);
+        oldCanvas.replaceWith(canvas);
+        this.canvas = canvas;
+
+        this.listeners.forEach(listener => {
+            if (listener.target !== oldCanvas) return;
+
+            oldCanvas.removeEventListener(listener.type, listener.handler, listener.options);
+            canvas.addEventListener(listener.type, listener.handler, listener.options);
+            listener.target = canvas;
+        });
+
+        this.worker = null;
+        this.rendererId = null;
+        this.ctx = canvas.getContext('2d');
+
+        // Size the new backing store and repaint
+        this.width = 0;
+        this.resize();
+    }
+
+    /**
+     * Hand the canvas to the chart worker when possible, otherwise paint it here.
+     * While the worker is still starting nothing is painted; the first frame follows
+     * once it is ready or has failed.
+     */
+    startRenderer() {
+        if (!this.options.offscreen || ChartManager.worker === null) {
+            this.ctx = this.canvas.getContext('2d');
+            return;
+        }
+
+        if (ChartManager.worker) {
+            this.attachRenderer(ChartManager.worker);
+            return;
+        }
+
+        ChartManager.getWorker().then(worker => {
+            if (this.destroyed) return;
+
+            if (worker) {
+                this.attachRenderer(worker);
+            } else {
+                this.ctx = this.canvas.getContext('2d');
+            }
+
+            // The backing store was never sized for this renderer; size it and paint
+            this.width = 0;
+            this.resize();
+        });
+    }
+
+    /**
+     * Create the worker-side chart, transferring the canvas on its first use.
+     * A canvas can only be transferred once, so charts created later on the same
+     * element reuse its worker-side canvas.
+     * @param {Worker} worker - Ready chart worker
+     */
+    attachRenderer(worker) {
+        let id = ChartManager.offscreenCanvases.get(this.canvas);
+
+        if (id === undefined) {
+            try {
+                const offscreen = this.canvas.transferControlToOffscreen();
+                id = ++ChartManager.rendererCount;
+                ChartManager.offscreenCanvases.set(this.canvas, id);
+                worker.postMessage({ type: 'canvas', id, canvas: offscreen }, [offscreen]);
+
+                // Drop the worker's copy once the element itself is gone
+                if (typeof FinalizationRegistry !== 'undefined') {
+                    ChartManager.canvasRegistry = ChartManager.canvasRegistry ||
+                        new FinalizationRegistry(releasedId => worker.postMessage({ type: 'release', id: releasedId }));
+                    ChartManager.canvasRegistry.register(this.canvas, id);
+                }
+            } catch (error) {
+                // The element already has a main-thread context
+                Utils.log('debug', 'Canvas cannot be transferred, rendering on the main thread', error);
+                this.ctx = this.canvas.getContext('2d');
+                return;
+            }
+        }
+
+        this.worker = worker;
+        this.rendererId = id;
+        this.sentState = {};
+        ChartManager.workerCharts.add(this);
+        worker.postMessage({ type: 'create', id, chart: this.constructor.name, options: this.getRenderOptions() });
+    }
+
+    /**
+     * Options for the worker-side chart; raw data is sent as normalized points instead
+     * @returns {Object} Cloneable options
+     */
+    getRenderOptions() {
+        const { data, ...options } = this.options;
+        return options;
+    }
+
+    /**
+     * Snapshot of everything paint() reads, in a form that can be posted to the worker.
+     * Points and indicator results are only included when they have changed.
+     * @param {boolean} complete - Include everything, e.g. for a one-off export copy
+     * @returns {Object} Render state
+     */
+    getRenderState(complete = false) {
+        const sent = complete ? {} : this.sentState;
+        const state = {
+            width: this.width,
+            height: this.height,
+            pixelRatio: this.pixelRatio,
+            viewStart: this.viewStart,
+            viewEnd: this.viewEnd,
+            hover: this.hover,
+            theme: this.theme,
+            options: this.getRenderOptions(),
+            // Animation start values are keyed by point objects, which do not survive the copy
+            animation: this.animation ? {
+                progress: this.animation.progress,
+                from: Array.from(this.animation.from, ([point, values]) => [point.index, values])
+            } : null,
+            drawings: this.drawings ? { items: this.drawings.items, pending: this.drawings.pending } : null
+        };
+
+        if (sent.points !== this.points) {
+            state.points = this.points;
+            sent.points = this.points;
+        }
+
+        if (sent.indicatorResults !== this.indicatorResults) {
+            state.indicatorResults = this.indicatorResults;
+            sent.indicatorResults = this.indicatorResults;
+        }
+
+        return state;
+    }
+
+    /**
+     * Load a render state posted from the page (worker side)
+     * @param {Object} state - State from getRenderState, merged over any unpainted frames
+     */
+    applyRenderState(state) {
+        const width = Math.max(1, Math.round(state.width * state.pixelRatio));
+        const height = Math.max(1, Math.round(state.height * state.pixelRatio));
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.width = state.width;
+        this.height = state.height;
+        this.pixelRatio = state.pixelRatio;
+        this.viewStart = state.viewStart;
+        this.viewEnd = state.viewEnd;
+        this.hover = state.hover;
+        this.theme = state.theme;
+        this.options = { ...this.options, ...state.options, headless: true };
+
+        if (state.points) {
+            this.points = state.points;
+        }
+
+        if (state.indicatorResults) {
+            this.indicatorResults = state.indicatorResults;
+        }
+
+        if (this.drawings && state.drawings) {
+            this.drawings.items = state.drawings.items;
+            this.drawings.pending = state.drawings.pending;
+        }
+
+        this.animation = state.animation ? {
+            progress: state.animation.progress,
+            from: new Map(state.animation.from.map(([index, values]) => [this.points[index], values]))
+        } : null;
+    }
+
+    /**
+     * Apply a posted render state and paint it (worker side)
+     * @param {Object} state - Render state
+     */
+    paintState(state) {
+        this.applyRenderState(state);
+        this.paint(this.prepareFrame());
+    }
+
+    // ==================== EXPORT ====================
+
+    /**
+     * Title and legend for image exports, see ChartExport
+     * @returns {Object} { title, legend: [{ label, color }] }
+     */
+    getExportInfo() {
+        const { symbol, title } = this.options;
+
+        return {
+            title: [symbol, title].filter(Boolean).join(' — '),
+            legend: this.indicatorResults.map(result => ({ label: result.label, color: result.color }))
+        };
+    }
+
+    // ==================== SPARKLINES ====================
+
+    /**
+     * Inline SVG sparkline for compact lists such as the watchlist
+     * Colored against the previous close, which is also drawn as a dashed baseline
+     * @param {Array|Object} data - Raw chart data
+     * @param {Object} options - { previousClose, width, height }
+     * @returns {string} SVG markup, empty when there is not enough data
+     */
+    static renderSparkline(data, options = {}) {
+        const config = STOCK_CONFIG.CHART.SPARKLINE;
+        const colors = ChartManager.getPalette(ChartManager.getThemeName());
+        const width = options.width || config.WIDTH;
+        const height = options.height || config.HEIGHT;
+
+        const points = ChartManager.lttb(ChartManager.normalizeData(data), config.MAX_POINTS);
+        if (points.length < 2) return '';
+
+        const closes = points.map(point => point.close);
+        const baseline = options.previousClose || closes[0];
+        const min = Math.min(baseline, ...closes);
+        const range = (Math.max(baseline, ...closes) - min) || 1;
+        const pad = config.LINE_WIDTH;
+        const toX = i => ((i / (closes.length - 1)) * width).toFixed(1);
+        const toY = value => (pad + (1 - (value - min) / range) * (height - pad * 2)).toFixed(1);
+        const color = closes[closes.length - 1] >= baseline ? colors.UP : colors.DOWN;
+
+        return `
+            <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true" focusable="false">
+                <line x1="0" x2="${width}" y1="${toY(baseline)}" y2="${toY(baseline)}" stroke="${colors.AXIS}" stroke-width="1" stroke-dasharray="2 2"/>
+                <polyline points="${closes.map((value, i) => `${toX(i)},${toY(value)}`).join(' ')}"
+                          fill="none" stroke="${color}" stroke-width="${config.LINE_WIDTH}" stroke-linejoin="round"/>
+            </svg>
+        `;
+    }
+
+    // ==================== PREFERENCES ====================
+
+    /**
+     * Load saved chart preferences for a symbol
+     * @param {string} symbol - Stock symbol
+     * @returns {Object} Saved preferences (empty object if none)
+     */
+    static getPreferences(symbol) {
+        const all = Utils.getLocalStorage(STOCK_CONFIG.CACHE.KEYS.CHART_PREFERENCES, {});
+        return all[symbol] || {};
+    }
+
+    /**
+     * Merge and persist chart preferences for a symbol
+     * @param {string} symbol - Stock symbol
+     * @param {Object} changes - Preference values to update
+     * @returns {Object} Updated preferences
+     */
+    static savePreferences(symbol, changes) {
+        const all = Utils.getLocalStorage(STOCK_CONFIG.CACHE.KEYS.CHART_PREFERENCES, {});
+        all[symbol] = { ...all[symbol], ...changes };
+        Utils.setLocalStorage(STOCK_CONFIG.CACHE.KEYS.CHART_PREFERENCES, all);
+        return all[symbol];
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    /**
+     * Release observers and pending frames
+     */
+    destroy() {
+        this.destroyed = true;
+
+        clearTimeout(this.descriptionTimer);
+        this.cancelLongPress();
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+
+        if (this.tooltip) {
+            this.tooltip.remove();
+            this.tooltip = null;
+        }
+
+        [this.liveRegion, this.dataTable].forEach(element => element && element.remove());
+        this.liveRegion = null;
+        this.dataTable = null;
+
+        if (this.frameRequest) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        } else {
+            window.removeEventListener('resize', this.handleResize);
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'destroy', id: this.rendererId });
+            ChartManager.workerCharts.delete(this);
+            this.worker = null;
+        } else if (this.ctx) {
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+    }
+}
+
+// Shared offscreen rendering state: the worker (undefined until it is ready, null when
+// unavailable), its startup promise, the charts it paints and the worker-side canvas
+// id of every element that has been transferred
+ChartManager.worker = undefined;
+ChartManager.workerReady = null;
+ChartManager.workerCharts = new Set();
+ChartManager.offscreenCanvases = new WeakMap();
+ChartManager.rendererCount = 0;
+ChartManager.canvasRegistry = null;
+
+// Chart types plotted from bars derived by ChartTransforms
+ChartManager.TRANSFORMED_TYPES = ['heikin-ashi', 'renko', 'pnf'];
+ChartManager.measureContext = null;
+
+// Merged palettes by theme name, and the document theme watcher (null until the first chart)
+ChartManager.palettes = new Map();
+ChartManager.themeWatcher = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartManager;
+} else {
+    window.ChartManager = ChartManager;
+}// Initialize chart-manager.js with chart setup
 // Add chart rendering logic to chart-manager.js
 // Add support for multiple chart types in chart-manager.js
 // Optimize chart rendering performance
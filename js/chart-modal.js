@@ -0,0 +1,230 @@
+/**
+ * Chart Modal Component
+ * Full-screen interactive chart for a single symbol with a wider set of periods,
+ * the shared chart controls, zoom and crosshair
+ */
+
+class ChartModal {
+    /**
+     * @param {string} symbol - Stock symbol to chart
+     * @param {Object} options - { name, quote, period, onClose }
+     */
+    constructor(symbol, options = {}) {
+        this.symbol = symbol;
+        this.options = {
+            name: '',
+            quote: null,                // Latest quote, supplies intraday chart data
+            period: '1D',
+            onClose: null,
+            ...options
+        };
+
+        this.element = null;
+        this.chartInstance = null;
+        this.chartControls = null;
+        this.period = this.options.period;
+        this.chartData = null;
+        this.requestId = 0;
+        this.isOpen = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    open() {
+        if (this.isOpen || !STOCK_CONFIG.FEATURES.INTERACTIVE_CHARTS) return;
+
+        this.createElement();
+        this.bindEvents();
+        this.isOpen = true;
+
+        this.loadPeriod(this.period);
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay chart-modal';
+        this.element.style.display = 'flex';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', `${this.symbol} chart`);
+        this.element.innerHTML = this.getTemplate();
+        document.body.appendChild(this.element);
+
+        if (window.ChartControls) {
+            this.chartControls = new ChartControls(
+                this.symbol,
+                this.element.querySelector('.chart-options'),
+                this.element.querySelector('.chart-panels'),
+                { getChart: () => this.chartInstance }
+            );
+        }
+    }
+
+    getTemplate() {
+        const periods = STOCK_CONFIG.CHART.MODAL.PERIODS;
+
+        return `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>
+                        <span class="stock-symbol">${Utils.sanitizeHTML(this.symbol)}</span>
+                        <span class="stock-name">${Utils.sanitizeHTML(this.options.name)}</span>
+                    </h3>
+                    <button class="modal-close" title="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="chart-controls">
+                        ${periods.map(period => `
+                            <button class="chart-period ${period === this.period ? 'active' : ''}" data-period="${period}">${period}</button>
+                        `).join('')}
+                        <span class="chart-options"></span>
+                    </div>
+                    <div class="chart-panels"></div>
+                    <div class="chart-container" style="height: ${STOCK_CONFIG.CHART.MODAL.HEIGHT};">
+                        <canvas class="stock-chart"></canvas>
+                        <div class="chart-status"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        this.element.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes the modal
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element && !(this.chartInstance && this.chartInstance.isDragging())) {
+                this.close();
+            }
+        });
+
+        this.element.querySelectorAll('.chart-period').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.loadPeriod(e.target.dataset.period);
+            });
+        });
+
+        this.element.addEventListener('chartViewChange', (e) => {
+            if (this.chartControls) {
+                this.chartControls.setZoomed(e.detail.zoomed);
+            }
+        });
+        this.element.addEventListener('chartToolChange', (e) => {
+            if (this.chartControls) {
+                this.chartControls.setActiveTool(e.detail.tool);
+            }
+        });
+
+        window.addEventListener('keydown', this.handleKeydown, true);
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            // Keep the dashboard's own Escape handling from acting on the page behind
+            e.stopPropagation();
+            this.close();
+        }
+    }
+
+    /**
+     * Switch the modal chart to another period, ignoring responses for superseded requests
+     * @param {string} period - One of STOCK_CONFIG.CHART.MODAL.PERIODS
+     */
+    async loadPeriod(period) {
+        const requestId = ++this.requestId;
+
+        this.period = period;
+        this.element.querySelectorAll('.chart-period').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.period === period);
+        });
+        this.setStatus('Loading...');
+
+        try {
+            const data = await this.fetchChartData(period);
+            if (requestId !== this.requestId || !this.isOpen) return;
+
+            this.chartData = data;
+            this.setStatus('');
+            this.renderChart();
+        } catch (error) {
+            if (requestId !== this.requestId || !this.isOpen) return;
+
+            Utils.log('error', `Failed to load ${period} chart for ${this.symbol}`, error);
+            this.setStatus('Chart data unavailable');
+        }
+    }
+
+    /**
+     * Fetch chart data for a period; intraday data comes with the quote
+     * @param {string} period - Chart period
+     * @returns {Promise<Array|Object>} Chart data accepted by ChartManager.normalizeData
+     */
+    async fetchChartData(period) {
+        const quote = this.options.quote;
+        if (period === '1D' && quote && quote.chartData) {
+            return quote.chartData;
+        }
+
+        return StockDataService.getInstance().getHistory(this.symbol, period);
+    }
+
+    renderChart() {
+        if (!window.ChartManager || !this.chartData) return;
+
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+        }
+
+        const quote = this.options.quote;
+
+        this.chartInstance = new ChartManager(this.element.querySelector('.stock-chart'), {
+            symbol: this.symbol,
+            title: this.options.name,
+            data: this.chartData,
+            period: this.period,
+            height: 'auto',
+            interactive: true,
+            volumeRatio: STOCK_CONFIG.CHART.MODAL.VOLUME_RATIO,
+            previousClose: this.period === '1D' && quote ? quote.previousClose : null,
+            ...(this.chartControls ? this.chartControls.getChartOptions() : {})
+        });
+
+        if (this.chartControls) {
+            this.chartControls.reset();
+        }
+    }
+
+    setStatus(message) {
+        const status = this.element.querySelector('.chart-status');
+        status.textContent = message;
+        status.style.display = message ? 'block' : 'none';
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.requestId++;
+        window.removeEventListener('keydown', this.handleKeydown, true);
+
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+            this.chartInstance = null;
+        }
+
+        this.element.remove();
+        this.element = null;
+
+        if (typeof this.options.onClose === 'function') {
+            this.options.onClose();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartModal;
+} else {
+    window.ChartModal = ChartModal;
+}
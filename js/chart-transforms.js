@@ -0,0 +1,257 @@
+/**
+ * Chart Transforms for Stock Dashboard
+ * Noise-filtered chart types derived from normalized OHLC points, consumed by ChartManager
+ *
+ * @author Stock Dashboard Team
+ * @version 1.0.0
+ * @since 2025-01-15
+ */
+
+'use strict';
+
+/**
+ * Static series transforms. Each takes normalized points and returns new points in
+ * the same { time, open, high, low, close, volume } shape, so the derived series can
+ * be zoomed, hovered and annotated like any other. Heikin-Ashi keeps one bar per
+ * input bar; Renko and point-and-figure emit a bar per brick or column, stamped with
+ * the time of the input bar that produced it.
+ */
+class ChartTransforms {
+
+    /**
+     * Transform applied for a chart type
+     * @param {string} type - Chart type
+     * @returns {Function|null} Transform (points, options) => points, or null for raw data
+     */
+    static forType(type) {
+        return ChartTransforms.BY_TYPE[type] || null;
+    }
+
+    // ==================== HEIKIN-ASHI ====================
+
+    /**
+     * Heikin-Ashi bars: averaged candles that smooth out single-bar noise
+     * @param {Array<Object>} points - OHLC points
+     * @returns {Array<Object>} Heikin-Ashi points
+     */
+    static heikinAshi(points) {
+        let previous = null;
+
+        return points.map(point => {
+            const close = (point.open + point.high + point.low + point.close) / 4;
+            const open = previous ? (previous.open + previous.close) / 2 : (point.open + point.close) / 2;
+            previous = {
+                ...point,
+                open,
+                close,
+                high: Math.max(point.high, open, close),
+                low: Math.min(point.low, open, close)
+            };
+            return previous;
+        });
+    }
+
+    // ==================== RENKO ====================
+
+    /**
+     * Renko bricks from closing prices. A brick is added for every full brick size
+     * the close moves past the last brick; reversing takes a move of two bricks.
+     * Volume is credited to the first brick a bar produces.
+     * @param {Array<Object>} points - OHLC points
+     * @param {Object} options - { size } brick size, 'atr' or a price amount
+     * @returns {Array<Object>} Bricks with brickSize set
+     */
+    static renko(points, options = {}) {
+        if (points.length === 0) return [];
+
+        const size = ChartTransforms.resolveBoxSize(points, options.size);
+        const bricks = [];
+        let top = points[0].close;
+        let bottom = points[0].close;
+        let volume = 0;
+
+        const addBrick = (point, open, close) => {
+            bricks.push({
+                time: point.time,
+                open,
+                close,
+                high: Math.max(open, close),
+                low: Math.min(open, close),
+                volume,
+                brickSize: size
+            });
+            volume = 0;
+            top = Math.max(open, close);
+            bottom = Math.min(open, close);
+        };
+
+        points.forEach(point => {
+            volume += point.volume;
+
+            while (point.close >= top + size) {
+                addBrick(point, top, top + size);
+            }
+            while (point.close <= bottom - size) {
+                addBrick(point, bottom, bottom - size);
+            }
+        });
+
+        return bricks;
+    }
+
+    // ==================== POINT & FIGURE ====================
+
+    /**
+     * Point-and-figure columns from closing prices. Rising columns (X) extend while
+     * closes reach new boxes up, falling columns (O) while they reach new boxes down;
+     * a new column starts after a move of `reversal` boxes the other way.
+     * @param {Array<Object>} points - OHLC points
+     * @param {Object} options - { size, reversal } box size ('atr' or a price amount) and reversal boxes
+     * @returns {Array<Object>} Columns with direction ('X' or 'O') and boxSize set; open and
+     *                          close are the first and last box prices of the column
+     */
+    static pointAndFigure(points, options = {}) {
+        if (points.length === 0) return [];
+
+        const box = ChartTransforms.resolveBoxSize(points, options.size);
+        const reversal = options.reversal || STOCK_CONFIG.CHART.BRICKS.REVERSAL;
+        const columns = [];
+        const reference = Math.round(points[0].close / box);
+        let column = null;
+        let volume = 0;
+
+        // Box levels are integers; level n is drawn at price n * box
+        const toColumn = entry => ({
+            time: entry.time,
+            open: (entry.direction === 'X' ? entry.bottom : entry.top) * box,
+            close: (entry.direction === 'X' ? entry.top : entry.bottom) * box,
+            high: entry.top * box + box / 2,
+            low: entry.bottom * box - box / 2,
+            volume: entry.volume,
+            direction: entry.direction,
+            boxSize: box
+        });
+
+        points.forEach(point => {
+            const up = Math.floor(point.close / box + 1e-9);
+            const down = Math.ceil(point.close / box - 1e-9);
+            volume += point.volume;
+
+            if (!column) {
+                if (up > reference) {
+                    column = { direction: 'X', bottom: reference, top: up, time: point.time, volume };
+                } else if (down < reference) {
+                    column = { direction: 'O', top: reference, bottom: down, time: point.time, volume };
+                }
+                if (column) volume = 0;
+                return;
+            }
+
+            if (column.direction === 'X') {
+                if (up > column.top) {
+                    column.top = up;
+                } else if (down <= column.top - reversal) {
+                    columns.push(column);
+                    column = { direction: 'O', top: column.top - 1, bottom: down, time: point.time, volume: 0 };
+                }
+            } else if (down < column.bottom) {
+                column.bottom = down;
+            } else if (up >= column.bottom + reversal) {
+                columns.push(column);
+                column = { direction: 'X', bottom: column.bottom + 1, top: up, time: point.time, volume: 0 };
+            }
+
+            column.volume += volume;
+            volume = 0;
+        });
+
+        if (column) {
+            columns.push(column);
+        }
+
+        return columns.map(toColumn);
+    }
+
+    // ==================== BOX SIZE ====================
+
+    /**
+     * Brick or box size: a fixed price amount, or the latest ATR rounded to two
+     * significant figures so axis labels line up with box edges. Either is raised to
+     * minBoxSize so tiny sizes cannot produce an unbounded number of bricks.
+     * @param {Array<Object>} points - OHLC points
+     * @param {number|string} size - Price amount, or 'atr' / empty for ATR-based sizing
+     * @returns {number} Positive box size
+     */
+    static resolveBoxSize(points, size) {
+        const minimum = ChartTransforms.minBoxSize(points);
+        const fixed = parseFloat(size);
+        if (fixed > 0) return Math.max(fixed, minimum);
+
+        const atr = ChartTransforms.atr(points, STOCK_CONFIG.CHART.BRICKS.ATR_PERIOD);
+        // Flat series have no range; fall back to a sliver of the price
+        const value = atr > 0 ? atr : Math.abs(points[points.length - 1].close) * 0.001 || 1;
+
+        return Math.max(parseFloat(value.toPrecision(2)), minimum);
+    }
+
+    /**
+     * Smallest usable brick or box size: a fraction of the last close, and large enough
+     * that the total close-to-close travel stays within MAX_BRICKS bricks. Rounded up to
+     * two significant figures.
+     * @param {Array<Object>} points - OHLC points
+     * @returns {number} Minimum box size, 0 when there is no price to size against
+     */
+    static minBoxSize(points) {
+        if (points.length === 0) return 0;
+
+        const config = STOCK_CONFIG.CHART.BRICKS;
+        let travel = 0;
+        for (let i = 1; i < points.length; i++) {
+            travel += Math.abs(points[i].close - points[i - 1].close);
+        }
+
+        const minimum = Math.max(
+            Math.abs(points[points.length - 1].close) * config.MIN_SIZE_RATIO,
+            travel / config.MAX_BRICKS
+        );
+        if (!(minimum > 0)) return 0;
+
+        const step = Math.pow(10, Math.floor(Math.log10(minimum)) - 1);
+        return parseFloat((Math.ceil(minimum / step) * step).toPrecision(2));
+    }
+
+    /**
+     * Latest average true range (Wilder smoothing)
+     * @param {Array<Object>} points - OHLC points
+     * @param {number} period - Smoothing period
+     * @returns {number} ATR, or the mean true range when there are fewer bars than the period
+     */
+    static atr(points, period) {
+        let atr = 0;
+
+        points.forEach((point, i) => {
+            const previousClose = i > 0 ? points[i - 1].close : point.close;
+            const trueRange = Math.max(point.high, previousClose) - Math.min(point.low, previousClose);
+            const count = Math.min(i + 1, period);
+            atr += (trueRange - atr) / count;
+        });
+
+        return atr;
+    }
+}
+
+/**
+ * Chart types drawn from a transformed series
+ */
+ChartTransforms.BY_TYPE = {
+    'heikin-ashi': points => ChartTransforms.heikinAshi(points),
+    renko: (points, options) => ChartTransforms.renko(points, options),
+    pnf: (points, options) => ChartTransforms.pointAndFigure(points, options)
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartTransforms;
+} else {
+    window.ChartTransforms = ChartTransforms;
+}
@@ -0,0 +1,95 @@
+/**
+ * Chart Worker
+ * Paints charts on canvases handed over by ChartManager with transferControlToOffscreen().
+ * The page keeps chart state, layout and interaction; every frame it posts a render
+ * state and this worker paints it with the same chart code running headless.
+ */
+
+// The chart modules register their classes and configuration on window
+self.window = self;
+
+importScripts(
+    'config.js',
+    'utils.js',
+    'chart-indicators.js',
+    'chart-transforms.js',
+    'chart-drawings.js',
+    'chart-manager.js',
+    'comparison-chart.js'
+);
+
+const CHART_CLASSES = { ChartManager, ComparisonChart };
+
+const canvases = new Map();     // Renderer id -> OffscreenCanvas, kept while the element may be charted again
+const charts = new Map();       // Renderer id -> headless chart
+const pending = new Map();      // Renderer id -> latest unpainted state
+let flushTimer = null;
+
+/**
+ * Paint the latest state of every chart with frames waiting.
+ * Frames that queued up while the worker was busy are merged, so a
+ * slow frame never leaves a backlog of stale ones.
+ */
+function flush() {
+    flushTimer = null;
+
+    pending.forEach((state, id) => {
+        const chart = charts.get(id);
+        if (!chart) return;
+
+        try {
+            chart.paintState(state);
+        } catch (error) {
+            console.error(`Chart ${id} failed to paint:`, error);
+        }
+    });
+
+    pending.clear();
+}
+
+self.addEventListener('message', (e) => {
+    const { type, id } = e.data;
+
+    switch (type) {
+        case 'canvas':
+            canvases.set(id, e.data.canvas);
+            break;
+
+        case 'create': {
+            const Chart = CHART_CLASSES[e.data.chart] || ChartManager;
+            charts.set(id, new Chart(canvases.get(id), { ...e.data.options, headless: true }));
+            pending.delete(id);
+            break;
+        }
+
+        case 'frame':
+            // Large arrays are only sent when they change, so merge rather than replace
+            pending.set(id, { ...pending.get(id), ...e.data.state });
+            if (!flushTimer) {
+                flushTimer = setTimeout(flush, 0);
+            }
+            break;
+
+        case 'destroy': {
+            charts.delete(id);
+            pending.delete(id);
+
+            // Free the bitmap; the element may get a new chart later
+            const canvas = canvases.get(id);
+            if (canvas) {
+                canvas.width = 1;
+                canvas.height = 1;
+            }
+            break;
+        }
+
+        case 'release':
+            canvases.delete(id);
+            charts.delete(id);
+            pending.delete(id);
+            break;
+    }
+});
+
+// Scripts loaded: the page only transfers canvases once this arrives
+self.postMessage({ type: 'ready' });
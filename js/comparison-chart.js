@@ -0,0 +1,387 @@
+/**
+ * Comparison Chart
+ * Plots several symbols on one time axis, each rebased to 0% at the start of the
+ * visible range. Builds on ChartManager for layout, zoom, pan and the crosshair.
+ */
+
+class ComparisonChart extends ChartManager {
+    /**
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {Object} options - ChartManager options; data is a list of series
+     *                           { symbol, label, color, visible, data }
+     */
+    constructor(canvas, options = {}) {
+        super(canvas, {
+            type: 'line',
+            scale: 'linear',            // Series are already percent; the axis formats them
+            showVolume: false,
+            indicators: [],
+            drawings: false,
+            ...options
+        });
+    }
+
+    // ==================== DATA ====================
+
+    /**
+     * Replace the compared series
+     * @param {Array<Object>} series - Series { symbol, label, color, visible, data }
+     * @param {boolean} redraw - Redraw after replacing
+     */
+    setData(series, redraw = true) {
+        this.options.data = series || [];
+        this.series = this.options.data.map((entry, index) => ({
+            symbol: entry.symbol,
+            label: entry.label || entry.symbol,
+            color: entry.color || ComparisonChart.getSeriesColor(index),
+            visible: entry.visible !== false,
+            points: ChartManager.normalizeData(entry.data),
+            values: []
+        }));
+
+        this.alignSeries();
+        this.viewStart = 0;
+        this.viewEnd = this.points.length;
+        this.indicatorResults = [];
+        this.scheduleDescription();
+
+        if (redraw) {
+            this.render();
+        }
+    }
+
+    /**
+     * Put every series on a shared timeline
+     * Timestamps from all series are merged and each series carries its last close
+     * forward over bars it has no data for. Untimed data is aligned by position.
+     */
+    alignSeries() {
+        const timed = this.series.every(series => series.points.every(point => point.time !== null));
+        let times;
+
+        if (timed) {
+            times = Array.from(new Set(this.series.flatMap(series => series.points.map(point => point.time))))
+                .sort((a, b) => a - b);
+        } else {
+            times = new Array(Math.max(0, ...this.series.map(series => series.points.length))).fill(null);
+        }
+
+        this.points = times.map((time, index) => ({ time, index }));
+
+        this.series.forEach(series => {
+            if (!timed) {
+                series.values = times.map((time, i) => series.points[i] ? series.points[i].close : null);
+                return;
+            }
+
+            let cursor = 0;
+            let last = null;
+            series.values = times.map(time => {
+                while (cursor < series.points.length && series.points[cursor].time <= time) {
+                    last = series.points[cursor].close;
+                    cursor++;
+                }
+                return last;
+            });
+        });
+    }
+
+    /**
+     * Default color for the series at a position
+     * @param {number} index - Series position
+     * @returns {string} CSS color
+     */
+    static getSeriesColor(index) {
+        const colors = STOCK_CONFIG.CHART.COMPARISON.COLORS;
+        return colors[index % colors.length];
+    }
+
+    getVisibleSeries() {
+        return this.series.filter(series => series.visible);
+    }
+
+    /**
+     * Show or hide a series without reloading its data
+     * @param {string} symbol - Series symbol
+     * @param {boolean} visible - Whether to plot the series
+     */
+    setSeriesVisible(symbol, visible) {
+        const series = this.series.find(entry => entry.symbol === symbol);
+        if (!series) return;
+
+        series.visible = visible;
+        const entry = this.options.data.find(item => item.symbol === symbol);
+        if (entry) entry.visible = visible;
+
+        if (this.hover) {
+            this.showTooltip();
+        }
+        this.scheduleDescription();
+        this.render();
+    }
+
+    /**
+     * Value each series is rebased against: its first value in the visible range
+     * @param {Object} series - Aligned series
+     * @returns {number|null} Base value
+     */
+    getBaseValue(series) {
+        for (let i = this.viewStart; i < this.viewEnd; i++) {
+            if (series.values[i] !== null && series.values[i] !== 0) {
+                return series.values[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Percent change of a series at each bar relative to the start of the visible range
+     * @param {Object} series - Aligned series
+     * @returns {Array<number|null>} Percent values aligned with this.points
+     */
+    getPercentValues(series) {
+        const base = this.getBaseValue(series);
+        return series.values.map(value => (value === null || base === null ? null : (value / base - 1) * 100));
+    }
+
+    /**
+     * Latest visible change for each series, for legends
+     * @returns {Array<Object>} { symbol, label, color, visible, change }
+     */
+    getSeriesSummary() {
+        return this.series.map(series => {
+            const values = this.getPercentValues(series);
+            let change = null;
+
+            for (let i = this.viewEnd - 1; i >= this.viewStart; i--) {
+                if (values[i] !== null) {
+                    change = values[i];
+                    break;
+                }
+            }
+
+            return { symbol: series.symbol, label: series.label, color: series.color, visible: series.visible, change };
+        });
+    }
+
+    // ==================== ACCESSIBILITY ====================
+
+    /**
+     * Points carry no prices; focus on the first visible series with a value at the bar
+     * @param {number} index - Index into this.points
+     * @returns {number} Y coordinate, the middle of the plot when no series has a value
+     */
+    getFocusY(index) {
+        for (const series of this.getVisibleSeries()) {
+            const value = this.getPercentValues(series)[index];
+            if (value !== null) return this.priceToY(value);
+        }
+        return this.plot.top + this.plot.height / 2;
+    }
+
+    getSummary() {
+        const visible = this.getSeriesSummary().filter(summary => summary.visible);
+        const first = this.points[this.viewStart];
+        const last = this.points[this.viewEnd - 1];
+
+        if (!first || visible.length === 0) return 'Comparison chart, no data';
+
+        const range = first.time !== null
+            ? `, ${this.formatTooltipTime(first.time)} to ${this.formatTooltipTime(last.time)}`
+            : '';
+        const changes = visible.map(summary => (summary.change === null
+            ? `${summary.label} no data`
+            : `${summary.label} ${Utils.formatPercentage(summary.change, 2, true)}`));
+
+        return `Comparison chart${range}. Change over the range: ${changes.join(', ')}.`;
+    }
+
+    /**
+     * One column per visible series with its change and raw level
+     * @returns {Object} { columns, rows }
+     */
+    getTableData() {
+        const visible = this.getVisibleSeries();
+        const percents = visible.map(series => this.getPercentValues(series));
+        const rows = [];
+
+        for (let i = this.viewStart; i < this.viewEnd; i++) {
+            const time = this.points[i].time;
+            rows.push([
+                time !== null ? this.formatTooltipTime(time) : `#${i + 1}`,
+                ...visible.map((series, s) => (percents[s][i] === null
+                    ? '—'
+                    : `${Utils.formatPercentage(percents[s][i], 2, true)} (${series.values[i].toFixed(2)})`))
+            ]);
+        }
+
+        return { columns: ['Time', ...visible.map(series => series.label)], rows };
+    }
+
+    // ==================== OFFSCREEN RENDERING ====================
+
+    /**
+     * Adds the aligned series; their values are only sent when the series are replaced
+     * @param {boolean} complete - Include the series even if unchanged
+     * @returns {Object} Render state
+     */
+    getRenderState(complete = false) {
+        const state = super.getRenderState(complete);
+        state.seriesVisible = this.series.map(series => series.visible);
+
+        if (complete || this.sentState.series !== this.series) {
+            state.series = this.series.map(({ points, ...series }) => series);
+        }
+        if (!complete) {
+            this.sentState.series = this.series;
+        }
+
+        return state;
+    }
+
+    applyRenderState(state) {
+        super.applyRenderState(state);
+
+        if (state.series) {
+            this.series = state.series;
+        }
+
+        (this.series || []).forEach((series, index) => {
+            series.visible = state.seriesVisible[index] !== false;
+        });
+    }
+
+    // ==================== EXPORT ====================
+
+    /**
+     * Visible series with their change over the exported range
+     * @returns {Object} { title, legend: [{ label, color }] }
+     */
+    getExportInfo() {
+        const visible = this.getSeriesSummary().filter(summary => summary.visible);
+
+        return {
+            title: `Comparison: ${visible.map(summary => summary.label).join(' vs ')}`,
+            legend: visible.map(summary => ({
+                label: summary.change === null ? summary.label : `${summary.label} ${Utils.formatPercentage(summary.change, 2, true)}`,
+                color: summary.color
+            }))
+        };
+    }
+
+    // ==================== SCALES ====================
+
+    /**
+     * Percent range covered by the visible series, always including the 0% baseline
+     * @returns {Object} { min, max }
+     */
+    getPriceRange() {
+        let min = 0;
+        let max = 0;
+
+        this.getVisibleSeries().forEach(series => {
+            const values = this.getPercentValues(series);
+            for (let i = this.viewStart; i < this.viewEnd; i++) {
+                if (values[i] !== null) {
+                    min = Math.min(min, values[i]);
+                    max = Math.max(max, values[i]);
+                }
+            }
+        });
+
+        if (min === max) {
+            return { min: -1, max: 1 };
+        }
+
+        const pad = (max - min) * 0.05;
+        return { min: min - pad, max: max + pad };
+    }
+
+    formatAxisValue(value, step) {
+        return Utils.formatPercentage(value, step >= 1 ? 0 : ChartManager.getDecimals(step), true);
+    }
+
+    // ==================== RENDERING ====================
+
+    drawSeries() {
+        const ctx = this.ctx;
+        const toY = value => this.priceToY(value);
+        const zeroY = Math.round(this.priceToY(0)) + 0.5;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.plot.left, this.plot.top, this.plot.width, this.plot.height);
+        ctx.clip();
+
+        // 0% baseline
+        ctx.strokeStyle = this.getColors().INDICATORS.LEVEL;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(this.plot.left, zeroY);
+        ctx.lineTo(this.plot.right, zeroY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.lineWidth = STOCK_CONFIG.CHART.LINE_WIDTH;
+        ctx.lineJoin = 'round';
+        this.getVisibleSeries().forEach(series => {
+            ctx.strokeStyle = series.color;
+            this.traceValues(this.getPercentValues(series), toY);
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Label each visible series' latest change on the axis in its own color
+     */
+    drawLastPrice() {
+        const ctx = this.ctx;
+        const { step } = this.getAxisTicks();
+        const labelHeight = 16;
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        this.getSeriesSummary()
+            .filter(summary => summary.visible && summary.change !== null)
+            .forEach(summary => {
+                const y = Math.round(this.priceToY(summary.change));
+
+                ctx.fillStyle = summary.color;
+                ctx.fillRect(this.plot.right + 1, y - labelHeight / 2, STOCK_CONFIG.CHART.PADDING.RIGHT - 1, labelHeight);
+                ctx.fillStyle = this.getColors().LABEL_TEXT;
+                ctx.fillText(this.formatAxisValue(summary.change, step), this.plot.right + 6, y);
+            });
+    }
+
+    // ==================== INTERACTION ====================
+
+    getTooltipRows(index) {
+        const point = this.points[index];
+        const rows = [];
+
+        if (point.time !== null) {
+            rows.push(['', this.formatTooltipTime(point.time)]);
+        }
+
+        this.getVisibleSeries().forEach(series => {
+            const value = this.getPercentValues(series)[index];
+            if (value === null) return;
+
+            // Raw level alongside the change; indices are not priced in currency
+            rows.push([series.label, `${Utils.formatPercentage(value, 2, true)} (${series.values[index].toFixed(2)})`, series.color]);
+        });
+
+        return rows;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComparisonChart;
+} else {
+    window.ComparisonChart = ComparisonChart;
+}
@@ -0,0 +1,441 @@
+/**
+ * Comparison Modal Component
+ * Lets users pick watchlist symbols and market indices, then plots them together
+ * as percent change on a ComparisonChart with a legend for toggling series
+ */
+
+class ComparisonModal {
+    /**
+     * @param {Object} options - { symbols, getQuote, onClose }
+     *   symbols: watchlist symbols offered for comparison
+     *   getQuote: (symbol) => latest quote already loaded by a card, if any
+     */
+    constructor(options = {}) {
+        this.options = {
+            symbols: [],
+            getQuote: () => null,
+            onClose: null,
+            ...options
+        };
+
+        const saved = Utils.getLocalStorage(STOCK_CONFIG.CACHE.KEYS.COMPARISON, {});
+        const settings = STOCK_CONFIG.CHART.COMPARISON;
+
+        this.period = saved.period || settings.DEFAULT_PERIOD;
+        this.selected = this.getInitialSelection(saved.symbols);
+        this.hidden = new Set(saved.hidden || []);
+        this.colors = new Map();        // Symbol -> color, kept while the symbol stays selected
+
+        this.selected.forEach(symbol => this.assignColor(symbol, saved.colors && saved.colors[symbol]));
+
+        this.element = null;
+        this.chartInstance = null;
+        this.dataCache = new Map();     // `${symbol}:${period}` -> chart data
+        this.failed = new Set();
+        this.requestId = 0;
+        this.isOpen = false;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Symbols selected when the modal opens: the saved selection when it still applies,
+     * otherwise the first few watchlist symbols plus the S&P 500
+     * @param {Array<string>} saved - Previously selected symbols
+     * @returns {Array<string>} Selected symbols
+     */
+    getInitialSelection(saved) {
+        const available = this.getAvailableSymbols().map(item => item.symbol);
+        const selection = (saved || []).filter(symbol => available.includes(symbol));
+        if (selection.length > 0) return selection;
+
+        const indices = STOCK_CONFIG.MARKET.INDICES;
+        return [
+            ...this.options.symbols.slice(0, STOCK_CONFIG.CHART.COMPARISON.DEFAULT_SYMBOLS),
+            ...(indices.length > 0 ? [indices[0].SYMBOL] : [])
+        ];
+    }
+
+    /**
+     * Everything that can be compared: watchlist symbols then benchmark indices
+     * @returns {Array<Object>} { symbol, label, group }
+     */
+    getAvailableSymbols() {
+        return [
+            ...this.options.symbols.map(symbol => ({ symbol, label: symbol, group: 'watchlist' })),
+            ...STOCK_CONFIG.MARKET.INDICES.map(index => ({ symbol: index.SYMBOL, label: index.NAME, group: 'indices' }))
+        ];
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.createElement();
+        this.bindEvents();
+        this.isOpen = true;
+
+        this.loadSeries();
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay chart-modal comparison-modal';
+        this.element.style.display = 'flex';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-modal', 'true');
+        this.element.setAttribute('aria-label', 'Compare symbols');
+        this.element.innerHTML = this.getTemplate();
+        document.body.appendChild(this.element);
+
+        this.updateSymbolPicker();
+    }
+
+    getTemplate() {
+        const available = this.getAvailableSymbols();
+        const group = (name, title) => {
+            const items = available.filter(item => item.group === name);
+            if (items.length === 0) return '';
+
+            return `
+                <div class="comparison-group">
+                    <h4>${title}</h4>
+                    ${items.map(item => `
+                        <label class="comparison-symbol">
+                            <input type="checkbox" value="${item.symbol}" ${this.selected.includes(item.symbol) ? 'checked' : ''}>
+                            ${item.label}
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        };
+
+        return `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Compare</h3>
+                    <button class="modal-close" title="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="comparison-symbols">
+                        ${group('watchlist', 'Watchlist')}
+                        ${group('indices', 'Indices')}
+                    </div>
+                    <div class="chart-controls">
+                        ${STOCK_CONFIG.CHART.COMPARISON.PERIODS.map(period => `
+                            <button class="chart-period ${period === this.period ? 'active' : ''}" data-period="${period}">${period}</button>
+                        `).join('')}
+                        <button class="chart-table-toggle" title="Toggle Data Table" aria-pressed="false">Table</button>
+                        ${window.ChartExport ? ChartExport.getMenuTemplate() : ''}
+                        <button class="chart-reset-zoom" title="Reset Zoom" style="display: none;">Reset Zoom</button>
+                    </div>
+                    <div class="comparison-legend"></div>
+                    <div class="chart-container" style="height: ${STOCK_CONFIG.CHART.MODAL.HEIGHT};">
+                        <canvas class="stock-chart"></canvas>
+                        <div class="chart-status"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        this.element.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes the modal
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element && !(this.chartInstance && this.chartInstance.isDragging())) {
+                this.close();
+            }
+        });
+
+        this.element.querySelector('.comparison-symbols').addEventListener('change', (e) => {
+            if (e.target.type === 'checkbox') {
+                this.toggleSymbol(e.target.value, e.target.checked);
+            }
+        });
+
+        this.element.querySelectorAll('.chart-period').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.changePeriod(e.target.dataset.period);
+            });
+        });
+
+        this.element.querySelector('.chart-reset-zoom').addEventListener('click', () => {
+            if (this.chartInstance) {
+                this.chartInstance.resetZoom();
+            }
+        });
+
+        this.element.querySelector('.chart-table-toggle').addEventListener('click', (e) => {
+            const visible = e.currentTarget.getAttribute('aria-pressed') !== 'true';
+            e.currentTarget.setAttribute('aria-pressed', visible);
+            e.currentTarget.classList.toggle('active', visible);
+
+            if (this.chartInstance) {
+                this.chartInstance.setDataTableVisible(visible);
+            }
+        });
+
+        const exportMenu = this.element.querySelector('.chart-export');
+        if (exportMenu) {
+            exportMenu.addEventListener('change', () => {
+                ChartExport.run(this.chartInstance, exportMenu.value);
+                exportMenu.value = '';
+            });
+        }
+
+        // Legend entries toggle series on and off
+        this.element.querySelector('.comparison-legend').addEventListener('click', (e) => {
+            const item = e.target.closest('.legend-item');
+            if (item && !item.disabled) {
+                this.toggleSeries(item.dataset.symbol);
+            }
+        });
+
+        // Rebasing follows the visible range, so changes update as the view moves
+        this.element.addEventListener('chartViewChange', (e) => {
+            this.element.querySelector('.chart-reset-zoom').style.display = e.detail.zoomed ? '' : 'none';
+            this.updateLegend();
+        });
+
+        window.addEventListener('keydown', this.handleKeydown, true);
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            // Keep the dashboard's own Escape handling from acting on the page behind
+            e.stopPropagation();
+            this.close();
+        }
+    }
+
+    toggleSymbol(symbol, checked) {
+        if (checked && !this.selected.includes(symbol)) {
+            this.selected.push(symbol);
+            this.assignColor(symbol);
+        } else if (!checked) {
+            this.selected = this.selected.filter(item => item !== symbol);
+            this.colors.delete(symbol);
+        }
+
+        this.updateSymbolPicker();
+        this.saveSettings();
+        this.loadSeries();
+    }
+
+    /**
+     * Give a symbol its own color for as long as it is selected, so adding or removing
+     * other symbols never recolors it
+     * @param {string} symbol - Selected symbol
+     * @param {string} preferred - Saved color to keep when no other symbol uses it
+     */
+    assignColor(symbol, preferred) {
+        const used = new Set(this.colors.values());
+        const palette = STOCK_CONFIG.CHART.COMPARISON.COLORS;
+        const color = preferred && !used.has(preferred)
+            ? preferred
+            : palette.find(candidate => !used.has(candidate)) || palette[this.colors.size % palette.length];
+
+        this.colors.set(symbol, color);
+    }
+
+    /**
+     * Disable unchecked symbols once the series limit is reached
+     */
+    updateSymbolPicker() {
+        const full = this.selected.length >= STOCK_CONFIG.CHART.COMPARISON.MAX_SERIES;
+
+        this.element.querySelectorAll('.comparison-symbols input').forEach(input => {
+            input.disabled = full && !input.checked;
+        });
+    }
+
+    changePeriod(period) {
+        this.period = period;
+        this.element.querySelectorAll('.chart-period').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.period === period);
+        });
+
+        this.saveSettings();
+        this.loadSeries();
+    }
+
+    toggleSeries(symbol) {
+        if (this.hidden.has(symbol)) {
+            this.hidden.delete(symbol);
+        } else {
+            this.hidden.add(symbol);
+        }
+
+        if (this.chartInstance) {
+            this.chartInstance.setSeriesVisible(symbol, !this.hidden.has(symbol));
+        }
+
+        this.saveSettings();
+        this.updateLegend();
+    }
+
+    saveSettings() {
+        Utils.setLocalStorage(STOCK_CONFIG.CACHE.KEYS.COMPARISON, {
+            period: this.period,
+            symbols: this.selected,
+            colors: Object.fromEntries(this.colors),
+            hidden: Array.from(this.hidden)
+        });
+    }
+
+    /**
+     * Fetch every selected symbol for the current period and redraw.
+     * Symbols that fail to load are left out and marked in the legend.
+     */
+    async loadSeries() {
+        const requestId = ++this.requestId;
+        const period = this.period;
+        const symbols = this.selected.slice();
+
+        if (symbols.length === 0) {
+            this.renderChart([]);
+            this.setStatus('Select symbols to compare');
+            return;
+        }
+
+        this.setStatus('Loading...');
+
+        const results = await Promise.allSettled(symbols.map(symbol => this.fetchSeriesData(symbol, period)));
+        if (requestId !== this.requestId || !this.isOpen) return;
+
+        const labels = new Map(this.getAvailableSymbols().map(item => [item.symbol, item.label]));
+        const series = [];
+        this.failed.clear();
+
+        results.forEach((result, index) => {
+            const symbol = symbols[index];
+
+            if (result.status === 'fulfilled') {
+                series.push({
+                    symbol,
+                    label: labels.get(symbol) || symbol,
+                    color: this.colors.get(symbol),
+                    visible: !this.hidden.has(symbol),
+                    data: result.value
+                });
+            } else {
+                Utils.log('error', `Failed to load ${period} comparison data for ${symbol}`, result.reason);
+                this.failed.add(symbol);
+            }
+        });
+
+        this.setStatus(series.length === 0 ? 'Chart data unavailable' : '');
+        this.renderChart(series);
+    }
+
+    /**
+     * Fetch chart data for a symbol, reusing intraday data a card has already loaded
+     * @param {string} symbol - Stock or index symbol
+     * @param {string} period - Chart period
+     * @returns {Promise<Array|Object>} Chart data accepted by ChartManager.normalizeData
+     */
+    async fetchSeriesData(symbol, period) {
+        const key = `${symbol}:${period}`;
+        if (this.dataCache.has(key)) {
+            return this.dataCache.get(key);
+        }
+
+        const service = StockDataService.getInstance();
+        let data;
+
+        if (period === '1D') {
+            const quote = this.options.getQuote(symbol) || service.getLastQuote(symbol) || await service.getQuote(symbol);
+            data = quote.chartData;
+        } else {
+            data = await service.getHistory(symbol, period);
+        }
+
+        if (!data) {
+            throw new Error('No chart data');
+        }
+
+        this.dataCache.set(key, data);
+        return data;
+    }
+
+    renderChart(series) {
+        if (!window.ComparisonChart) return;
+
+        if (this.chartInstance) {
+            this.chartInstance.options.period = this.period;
+            this.chartInstance.setData(series);
+        } else {
+            this.chartInstance = new ComparisonChart(this.element.querySelector('.stock-chart'), {
+                data: series,
+                period: this.period,
+                height: 'auto',
+                interactive: true,
+                showDataTable: this.element.querySelector('.chart-table-toggle').getAttribute('aria-pressed') === 'true'
+            });
+        }
+
+        this.element.querySelector('.chart-reset-zoom').style.display = 'none';
+        this.updateLegend();
+    }
+
+    /**
+     * Legend with each series' color, name and change over the visible range
+     */
+    updateLegend() {
+        const legend = this.element.querySelector('.comparison-legend');
+        const summary = this.chartInstance ? this.chartInstance.getSeriesSummary() : [];
+
+        const items = summary.map(item => `
+            <button class="legend-item ${item.visible ? 'active' : ''}" data-symbol="${item.symbol}"
+                    aria-pressed="${item.visible}" title="${item.visible ? 'Hide' : 'Show'} ${item.label}">
+                <span class="legend-swatch" style="background: ${item.color};"></span>
+                <span class="legend-label">${item.label}</span>
+                ${item.change !== null ? `
+                    <span class="legend-change ${item.change >= 0 ? 'positive' : 'negative'}">${Utils.formatPercentage(item.change, 2, true)}</span>
+                ` : ''}
+            </button>
+        `);
+
+        const failed = Array.from(this.failed).map(symbol => `
+            <button class="legend-item unavailable" data-symbol="${symbol}" disabled title="Data unavailable">
+                <span class="legend-label">${symbol}</span>
+            </button>
+        `);
+
+        legend.innerHTML = [...items, ...failed].join('');
+    }
+
+    setStatus(message) {
+        const status = this.element.querySelector('.chart-status');
+        status.textContent = message;
+        status.style.display = message ? 'block' : 'none';
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.requestId++;
+        window.removeEventListener('keydown', this.handleKeydown, true);
+
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+            this.chartInstance = null;
+        }
+
+        this.element.remove();
+        this.element = null;
+
+        if (typeof this.options.onClose === 'function') {
+            this.options.onClose();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComparisonModal;
+} else {
+    window.ComparisonModal = ComparisonModal;
+}
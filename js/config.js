@@ -35,6 +35,8 @@ const CONFIG = {
         HEALTH_CHECK: 'php/health_check.php',
         STOCK_DETAILS: 'php/get_stock_details.php',
         HISTORICAL_DATA: 'php/get_historical_data.php',
+        SEARCH: 'php/search_stocks.php',
+        MARKET_STATUS: 'php/get_market_status.php',
         
         // Request settings
         TIMEOUT: 30000, // 30 seconds
@@ -45,6 +47,42 @@ const CONFIG = {
         MAX_REQUESTS_PER_MINUTE: 60,
         REQUEST_QUEUE_SIZE: 10,
         
+        // Batched quotes: one symbols=A,B,... request per refresh cycle
+        BATCH: {
+            ENABLED: true,
+            MAX_SYMBOLS: 50,            // Symbols per request; larger sets are split
+            WINDOW: 50                  // Milliseconds to gather refreshes into one request
+        },
+
+        // Quote provider behind the backend; selects the adapter in QuoteProviders
+        PROVIDER: {
+            NAME: 'yahoo',              // 'yahoo' | 'alphavantage' | 'generic'
+
+            // Generic JSON objects or CSV rows (served as text/csv): canonical field -> source field
+            GENERIC: {
+                LABEL: '',              // Attribution; defaults to 'Market data feed'
+                FIELDS: {
+                    symbol: 'symbol',
+                    name: 'name',
+                    currency: 'currency',
+                    exchange: 'exchange',
+                    price: 'price',
+                    previousClose: 'previousClose',
+                    change: 'change',
+                    open: 'open',
+                    dayHigh: 'high',
+                    dayLow: 'low',
+                    volume: 'volume',
+                    marketCap: 'marketCap',
+                    peRatio: 'peRatio',
+                    fiftyTwoWeekHigh: 'yearHigh',
+                    fiftyTwoWeekLow: 'yearLow',
+                    timestamp: 'timestamp',
+                    chartData: 'chartData'
+                }
+            }
+        },
+
         // Headers
         DEFAULT_HEADERS: {
             'Content-Type': 'application/x-www-form-urlencoded',
@@ -130,7 +168,10 @@ const CONFIG = {
             REDUCED_MOTION: false,      // Respect prefers-reduced-motion
             HIGH_CONTRAST: false,       // High contrast mode
             FOCUS_VISIBLE: true,        // Enhanced focus indicators
-            ARIA_LIVE_UPDATES: true     // Screen reader announcements
+            ARIA_LIVE_UPDATES: true,    // Screen reader announcements
+            CHART_TABLE_MAX_ROWS: 500,  // Most recent rows shown in a chart's data table view
+            CHART_TABLE_HEIGHT: 240,    // Data table view scroll height (pixels)
+            CHART_KEY_STEP: 10          // Bars moved by Shift+Arrow when navigating a chart
         }
     },
 
@@ -220,15 +261,39 @@ const CONFIG = {
         KEYS: {
             STOCK_DATA: 'stock-data-',
             HISTORICAL_DATA: 'historical-data-',
+            METADATA: 'metadata-',      // Company details and search results
+            CACHE_INDEX: 'data-cache-index', // Size and access times of cached entries
             USER_PREFERENCES: 'user-preferences',
             FAVORITES: 'favorite-stocks',
-            ALERTS: 'price-alerts'
+            ALERTS: 'price-alerts',
+            CHART_PREFERENCES: 'chart-preferences',
+            COMPARISON: 'comparison-chart',
+            CHART_DRAWINGS: 'chart-drawings'
         },
         
         // Cache cleanup
         AUTO_CLEANUP: true,             // Automatically clean expired entries
         CLEANUP_INTERVAL: 300000,       // Cleanup every 5 minutes
-        CLEANUP_ON_START: true          // Cleanup on application start
+        CLEANUP_ON_START: true,         // Cleanup on application start
+        INDEX_SAVE_DELAY: 1000,         // Access times from cache hits are saved at most this often
+        
+        // Historical series stored in IndexedDB and extended incrementally
+        HISTORY: {
+            ENABLED: true,
+            DB_NAME: 'stock-dashboard-history',
+            DB_VERSION: 1,
+            STORE: 'series',
+            META_STORE: 'series-meta',  // Key, symbol, size and access time per series, for the quota
+            MAX_SIZE: 20971520,         // Stored series quota (20MB); least recently used symbols are evicted
+            
+            // Periods served from the store: bar interval and span of history (ms)
+            PERIODS: {
+                '1M': { INTERVAL: '1d', RANGE: 2678400000 },   // 31 days
+                '3M': { INTERVAL: '1d', RANGE: 7948800000 },   // 92 days
+                '1Y': { INTERVAL: '1d', RANGE: 31622400000 },  // 366 days
+                '5Y': { INTERVAL: '1wk', RANGE: 157852800000 } // 1827 days
+            }
+        }
     },
 
     /**
@@ -237,8 +302,9 @@ const CONFIG = {
     FEATURES: {
         // Chart features
         MINI_CHARTS: true,              // Show mini charts on cards
-        INTERACTIVE_CHARTS: false,      // Enable interactive chart modals
+        INTERACTIVE_CHARTS: true,       // Enable chart crosshair, tooltips and interactive modals
         CHART_ANIMATIONS: true,         // Animate chart updates
+        CHART_DRAWINGS: true,           // Drawing tools and saved chart annotations
         
         // Advanced features
         PRICE_ALERTS: true,             // Enable price alert system
@@ -263,6 +329,245 @@ const CONFIG = {
         USER_ANALYTICS: false           // User behavior analytics
     },
 
+    /**
+     * Chart rendering configurations
+     */
+    CHART: {
+        // Canvas sizing
+        HEIGHT: 160,                    // Default chart height in pixels
+        COMPACT_HEIGHT: 80,             // Chart height for compact cards
+        MAX_PIXEL_RATIO: 3,             // Cap devicePixelRatio for HiDPI scaling
+
+        // Layout
+        PADDING: {
+            TOP: 8,
+            RIGHT: 56,                  // Room for price axis labels
+            BOTTOM: 20,                 // Room for time axis labels
+            LEFT: 8
+        },
+        GRID_LINES: 4,                  // Target number of price gridlines
+        PANE_GAP: 6,                    // Vertical gap between stacked panes
+        MIN_PANE_HEIGHT: 16,            // Smallest height a sub-pane may shrink to
+        MIN_LABEL_SPACING: 64,          // Minimum pixels between time labels
+
+        // Chart types
+        TYPES: ['line', 'area', 'candlestick', 'ohlc', 'heikin-ashi', 'renko', 'pnf'],
+        DEFAULT_TYPE: 'line',
+        CANDLE_WIDTH_RATIO: 0.7,        // Candle body width relative to bar spacing
+
+        // Renko and point-and-figure
+        BRICKS: {
+            SIZE: 'atr',                // Brick / box size: 'atr' or a fixed price amount
+            ATR_PERIOD: 14,             // ATR period used for 'atr' sizing
+            REVERSAL: 3,                // Boxes needed to start a new point-and-figure column
+            MIN_SIZE_RATIO: 0.0005,     // Smallest brick / box size as a fraction of the last close
+            MAX_BRICKS: 2000,           // Bricks / columns a series may produce; larger sizes are used beyond
+            WIDTH_RATIO: 0.9            // Brick / column width relative to bar spacing
+        },
+
+        // Y-axis scales
+        SCALES: ['linear', 'log', 'percent'], // Percent measures change from the first visible bar
+        DEFAULT_SCALE: 'linear',
+
+        // Volume pane
+        VOLUME: {
+            DEFAULT_VISIBLE: true,
+            RATIO: 0.25,                // Share of the plot height used by the volume pane
+            COMPACT_RATIO: 0.2,         // Smaller share on compact cards
+            OPACITY: 0.6
+        },
+
+        // Indicator defaults
+        INDICATORS: {
+            SMA_PERIOD: 20,
+            EMA_PERIOD: 12,
+            BOLLINGER_PERIOD: 20,
+            BOLLINGER_STD_DEV: 2,
+            BAND_OPACITY: 0.08,         // Fill between Bollinger bands
+
+            // Oscillator defaults
+            RSI_PERIOD: 14,
+            RSI_OVERBOUGHT: 70,
+            RSI_OVERSOLD: 30,
+            MACD_FAST: 12,
+            MACD_SLOW: 26,
+            MACD_SIGNAL: 9,
+            STOCH_K_PERIOD: 14,
+            STOCH_D_PERIOD: 3,
+            STOCH_SMOOTH: 3,
+            STOCH_OVERBOUGHT: 80,
+            STOCH_OVERSOLD: 20,
+
+            // Oscillator panes
+            PANE_HEIGHT: 64,            // Height added to the chart per oscillator pane
+            COMPACT_PANE_HEIGHT: 40,
+            MAX_PANES: 3                // Maximum oscillator panes per chart
+        },
+
+        // Series styling
+        LINE_WIDTH: 1.5,
+        AREA_OPACITY: 0.25,
+        FONT: '11px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+
+        // Zoom and pan
+        ZOOM: {
+            MIN_BARS: 10,               // Fewest bars visible when fully zoomed in
+            WHEEL_FACTOR: 1.15,         // Visible range change per wheel step
+            DRAG_THRESHOLD: 3           // Pixels moved before a press becomes a drag
+        },
+
+        // Off-main-thread rendering
+        OFFSCREEN: {
+            ENABLED: true,              // Paint in a worker when OffscreenCanvas is supported
+            WORKER_URL: 'js/chart-worker.js' // Same-origin script; the CSP does not allow blob: workers
+        },
+
+        // Data reduction for long series; resolution follows the plot width
+        DOWNSAMPLE: {
+            ENABLED: true,
+            LINE_POINTS_PER_PIXEL: 1,   // LTTB target for line and area series
+            MIN_BAR_PIXELS: 3           // Narrowest OHLC or volume bar before bars are merged
+        },
+
+        // Full-screen chart modal
+        MODAL: {
+            HEIGHT: '70vh',             // Chart area height inside the modal
+            VOLUME_RATIO: 0.3,          // Larger volume pane than on cards
+            PERIODS: ['1D', '5D', '1M', '3M', '1Y', 'YTD', '5Y', 'MAX']
+        },
+
+        // Watchlist sparklines
+        SPARKLINE: {
+            WIDTH: 60,
+            HEIGHT: 20,
+            LINE_WIDTH: 1.25,
+            MAX_POINTS: 120             // Longer series are reduced with LTTB before drawing
+        },
+
+        // PNG and SVG export
+        EXPORT: {
+            SCALES: [1, 2, 3],          // PNG pixel density choices
+            HEADER_PADDING: 8,
+            TITLE_FONT: 'bold 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+        },
+
+        // Multi-symbol comparison chart
+        COMPARISON: {
+            PERIODS: ['1D', '5D', '1M', '3M', '1Y', 'YTD', '5Y'],
+            DEFAULT_PERIOD: '1M',
+            MAX_SERIES: 8,              // Most symbols plotted together
+            DEFAULT_SYMBOLS: 3,         // Watchlist symbols preselected alongside the S&P 500
+            COLORS: ['#2196F3', '#FF9800', '#4CAF50', '#E91E63', '#9C27B0', '#00BCD4', '#FFC107', '#795548']
+        },
+
+        // Trading sessions on intraday charts (see MARKET.HOURS and MARKET.EXTENDED_HOURS)
+        SESSIONS: {
+            INTRADAY_PERIODS: ['1D', '5D'], // Periods whose bars are split into sessions
+            SHOW_EXTENDED_BARS: true,   // Default for showing pre-market and after-hours bars
+            SHADE_EXTENDED: true,       // Shade extended-hours regions
+            SHOW_BREAKS: true           // Marker and gap label between trading days
+        },
+
+        // Drawing tools and annotations
+        DRAWINGS: {
+            TOOLS: ['hline', 'trendline', 'rectangle', 'text'],
+            MAX_PER_SYMBOL: 100,        // Oldest drawings are dropped beyond this
+            HIT_TOLERANCE: 6,           // Pixels from a drawing that still count as a hit
+            LINE_WIDTH: 1.5,
+            FILL_OPACITY: 0.1           // Rectangle fill
+        },
+
+        // Crosshair and tooltip
+        TOOLTIP: {
+            OFFSET: 12,                 // Distance between pointer and tooltip
+            LONG_PRESS_DELAY: 400,      // Touch hold time before the crosshair appears
+            TOUCH_MOVE_TOLERANCE: 10    // Movement allowed during the hold (pixels)
+        },
+
+        // Colors
+        COLORS: {
+            UP: '#4CAF50',
+            DOWN: '#f44336',
+            LINE: '#2196F3',
+            GRID: 'rgba(128, 128, 128, 0.15)',
+            AXIS: 'rgba(128, 128, 128, 0.4)',
+            TEXT: '#9e9e9e',
+            LABEL_TEXT: '#ffffff',
+            CROSSHAIR: 'rgba(128, 128, 128, 0.8)',
+            DRAWING: '#FFC107',
+            EXTENDED_HOURS: 'rgba(128, 128, 128, 0.08)',
+            SESSION_BREAK: 'rgba(128, 128, 128, 0.35)',
+            INDICATORS: {
+                SMA: '#FF9800',
+                EMA: '#9C27B0',
+                VWAP: '#00BCD4',
+                BOLLINGER: '#607D8B',
+                RSI: '#7E57C2',
+                MACD: '#2196F3',
+                MACD_SIGNAL: '#FF9800',
+                STOCHASTIC: '#26A69A',
+                STOCHASTIC_D: '#EF5350',
+                LEVEL: 'rgba(128, 128, 128, 0.5)'
+            }
+        },
+
+        // Theme palettes, merged over COLORS for the active dashboard theme ('auto' follows the system)
+        THEMES: {
+            LIGHT: {
+                BACKGROUND: '#ffffff',
+                TITLE: '#212121',       // Export header title and legend
+                UP: '#2E7D32',
+                DOWN: '#D32F2F',
+                LINE: '#1976D2',
+                GRID: 'rgba(0, 0, 0, 0.08)',
+                AXIS: 'rgba(0, 0, 0, 0.3)',
+                TEXT: '#616161',
+                CROSSHAIR: 'rgba(66, 66, 66, 0.8)',
+                DRAWING: '#F57C00',
+                EXTENDED_HOURS: 'rgba(0, 0, 0, 0.05)',
+                SESSION_BREAK: 'rgba(0, 0, 0, 0.25)',
+                TOOLTIP: {
+                    BACKGROUND: 'rgba(255, 255, 255, 0.95)',
+                    TEXT: '#212121',
+                    BORDER: 'rgba(0, 0, 0, 0.15)'
+                },
+                INDICATORS: {
+                    SMA: '#EF6C00',
+                    EMA: '#7B1FA2',
+                    VWAP: '#00838F',
+                    BOLLINGER: '#546E7A',
+                    LEVEL: 'rgba(0, 0, 0, 0.35)'
+                }
+            },
+            DARK: {
+                BACKGROUND: '#1e1e1e',
+                TITLE: '#f5f5f5',
+                UP: '#66BB6A',
+                DOWN: '#EF5350',
+                LINE: '#42A5F5',
+                GRID: 'rgba(255, 255, 255, 0.08)',
+                AXIS: 'rgba(255, 255, 255, 0.3)',
+                TEXT: '#9e9e9e',
+                CROSSHAIR: 'rgba(224, 224, 224, 0.7)',
+                DRAWING: '#FFC107',
+                EXTENDED_HOURS: 'rgba(255, 255, 255, 0.05)',
+                SESSION_BREAK: 'rgba(255, 255, 255, 0.25)',
+                TOOLTIP: {
+                    BACKGROUND: 'rgba(33, 33, 33, 0.95)',
+                    TEXT: '#f5f5f5',
+                    BORDER: 'rgba(255, 255, 255, 0.15)'
+                },
+                INDICATORS: {
+                    SMA: '#FFB74D',
+                    EMA: '#CE93D8',
+                    VWAP: '#4DD0E1',
+                    BOLLINGER: '#90A4AE',
+                    LEVEL: 'rgba(255, 255, 255, 0.35)'
+                }
+            }
+        }
+    },
+
     /**
      * Stock-specific configurations
      */
@@ -311,6 +616,13 @@ const CONFIG = {
             TIMEZONE: 'America/New_York' // Market timezone
         },
         
+        // Benchmark indices shown in the sidebar and offered for comparison
+        INDICES: [
+            { SYMBOL: '^GSPC', NAME: 'S&P 500' },
+            { SYMBOL: '^DJI', NAME: 'Dow Jones' },
+            { SYMBOL: '^IXIC', NAME: 'NASDAQ' }
+        ],
+        
         // Trading days
         TRADING_DAYS: [1, 2, 3, 4, 5], // Monday through Friday
         
@@ -25,6 +25,9 @@ class StockDashboard {
         this.updateInterval = null;
         this.marketStatus = null;
         this.searchTimeout = null;
+        this.comparisonModal = null;
+        this.dataService = StockDataService.getInstance();
+        this.indexSubscriptions = [];
 
         this.init();
     }
@@ -48,6 +51,7 @@ class StockDashboard {
             
             // Initialize market status monitoring
             this.initializeMarketStatus();
+            this.subscribeMarketIndices();
             
             // Start global updates
             this.startGlobalUpdates();
@@ -105,6 +109,9 @@ class StockDashboard {
                         <button id="refresh-all-btn" title="Refresh All">
                             <i class="icon-refresh"></i>
                         </button>
+                        <button id="compare-btn" title="Compare Symbols">
+                            <i class="icon-compare"></i>
+                        </button>
                         <button id="export-btn" title="Export Data">
                             <i class="icon-download"></i>
                         </button>
@@ -129,18 +136,11 @@ class StockDashboard {
                     <div class="market-overview">
                         <h3>Market Overview</h3>
                         <div class="market-indices">
-                            <div class="index-item" data-symbol="^GSPC">
-                                <span class="index-name">S&P 500</span>
-                                <span class="index-value">Loading...</span>
-                            </div>
-                            <div class="index-item" data-symbol="^DJI">
-                                <span class="index-name">Dow Jones</span>
+                            ${STOCK_CONFIG.MARKET.INDICES.map(index => `
+                            <div class="index-item" data-symbol="${index.SYMBOL}">
+                                <span class="index-name">${index.NAME}</span>
                                 <span class="index-value">Loading...</span>
-                            </div>
-                            <div class="index-item" data-symbol="^IXIC">
-                                <span class="index-name">NASDAQ</span>
-                                <span class="index-value">Loading...</span>
-                            </div>
+                            </div>`).join('')}
                         </div>
                     </div>
                     
@@ -197,7 +197,7 @@ class StockDashboard {
                         <span class="status-dot"></span>
                         <span class="status-text">Connected</span>
                     </span>
-                    <span class="data-source">Data provided by Alpha Vantage API</span>
+                    <span class="data-source">Data provided by ${QuoteProviders.getLabel()}</span>
                 </div>
                 <div class="footer-actions">
                     <button id="toggle-theme">
@@ -292,6 +292,7 @@ class StockDashboard {
 
         // Dashboard actions
         document.getElementById('refresh-all-btn').addEventListener('click', () => this.refreshAll());
+        document.getElementById('compare-btn').addEventListener('click', () => this.showComparison());
         document.getElementById('export-btn').addEventListener('click', () => this.exportData());
         document.getElementById('settings-btn').addEventListener('click', () => this.showSettings());
         document.getElementById('fullscreen-btn').addEventListener('click', () => this.toggleFullscreen());
@@ -306,6 +307,14 @@ class StockDashboard {
 
         // Theme toggle
         document.getElementById('toggle-theme').addEventListener('click', () => this.toggleTheme());
+        
+        // Charts repaint themselves on theme changes; watchlist sparklines are redrawn here
+        if (window.ChartManager) {
+            ChartManager.watchTheme();
+            window.addEventListener('chartThemeChanged', () => {
+                this.watchlist.forEach(symbol => this.updateWatchlistItem(symbol));
+            });
+        }
 
         // Settings modal
         document.getElementById('cancel-settings').addEventListener('click', () => this.hideSettings());
@@ -314,6 +323,7 @@ class StockDashboard {
 
         // Global events
         window.addEventListener('stockCardRemoved', (e) => this.handleCardRemoved(e.detail.symbol));
+        window.addEventListener('stockDataUpdated', (e) => this.updateWatchlistItem(e.detail.symbol));
         window.addEventListener('beforeunload', () => this.saveUserPreferences());
         document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
 
@@ -339,11 +349,10 @@ class StockDashboard {
 
     async searchStocks(query) {
         try {
-            const response = await fetch(`php/search_stocks.php?q=${encodeURIComponent(query)}`);
-            const results = await response.json();
+            const results = await this.dataService.search(query);
             
-            if (results.success && results.data.length > 0) {
-                this.showSuggestions(results.data);
+            if (results.length > 0) {
+                this.showSuggestions(results);
             } else {
                 this.hideSuggestions();
             }
@@ -412,7 +421,8 @@ class StockDashboard {
     async addStockCard(symbol) {
         const cardOptions = {
             showChart: !this.options.compactMode,
-            autoRefresh: true,
+            // Batched quotes are refreshed for every card at once by startGlobalUpdates
+            autoRefresh: !STOCK_CONFIG.API.BATCH.ENABLED,
             refreshInterval: this.options.refreshInterval,
             enableAlerts: this.options.enableNotifications,
             compact: this.options.compactMode
@@ -498,18 +508,16 @@ class StockDashboard {
                     valueB = b.getSymbol();
                     break;
                 case 'price':
-                    valueA = parseFloat(a.getData()?.regularMarketPrice || 0);
-                    valueB = parseFloat(b.getData()?.regularMarketPrice || 0);
+                    valueA = a.getData()?.price || 0;
+                    valueB = b.getData()?.price || 0;
                     break;
                 case 'change':
-                    const dataA = a.getData();
-                    const dataB = b.getData();
-                    valueA = dataA ? (dataA.regularMarketPrice - dataA.regularMarketPreviousClose) : 0;
-                    valueB = dataB ? (dataB.regularMarketPrice - dataB.regularMarketPreviousClose) : 0;
+                    valueA = a.getData()?.change || 0;
+                    valueB = b.getData()?.change || 0;
                     break;
                 case 'volume':
-                    valueA = parseInt(a.getData()?.regularMarketVolume || 0);
-                    valueB = parseInt(b.getData()?.regularMarketVolume || 0);
+                    valueA = a.getData()?.volume || 0;
+                    valueB = b.getData()?.volume || 0;
                     break;
                 default:
                     return 0;
@@ -587,11 +595,9 @@ class StockDashboard {
         
         this.stockCards.forEach(card => {
             const data = card.getData();
-            if (data && data.regularMarketPrice && data.regularMarketPreviousClose) {
-                const price = parseFloat(data.regularMarketPrice);
-                const previousClose = parseFloat(data.regularMarketPreviousClose);
-                totalValue += price;
-                totalChange += (price - previousClose);
+            if (data && data.price && data.previousClose) {
+                totalValue += data.price;
+                totalChange += data.change;
                 validCards++;
             }
         });
@@ -612,10 +618,14 @@ class StockDashboard {
         container.innerHTML = Array.from(this.watchlist).map(symbol => `
             <div class="watchlist-item" data-symbol="${symbol}">
                 <span class="symbol">${symbol}</span>
+                <span class="watchlist-sparkline"></span>
+                <span class="watchlist-change"></span>
                 <button class="btn-remove-watchlist" data-symbol="${symbol}">×</button>
             </div>
         `).join('');
         
+        this.watchlist.forEach(symbol => this.updateWatchlistItem(symbol));
+        
         // Add click handlers
         container.querySelectorAll('.btn-remove-watchlist').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -643,14 +653,32 @@ class StockDashboard {
         });
     }
 
+    /**
+     * Refresh the sparkline and percent change of one watchlist entry from its card's data
+     * @param {string} symbol - Stock symbol
+     */
+    updateWatchlistItem(symbol) {
+        const item = document.querySelector(`.watchlist-item[data-symbol="${symbol}"]`);
+        const card = this.stockCards.get(symbol);
+        const data = card ? card.getData() : null;
+        
+        if (!item || !data) return;
+        
+        const { previousClose } = data;
+        const changePercent = data.changePercent || 0;
+        
+        const changeElement = item.querySelector('.watchlist-change');
+        changeElement.textContent = Utils.formatPercentage(changePercent, 2, true);
+        changeElement.className = `watchlist-change ${changePercent >= 0 ? 'positive' : 'negative'}`;
+        
+        if (window.ChartManager) {
+            item.querySelector('.watchlist-sparkline').innerHTML = ChartManager.renderSparkline(data.chartData, { previousClose });
+        }
+    }
+
     async initializeMarketStatus() {
         try {
-            const response = await fetch('php/get_market_status.php');
-            const result = await response.json();
-            
-            if (result.success) {
-                this.updateMarketStatus(result.data);
-            }
+            this.updateMarketStatus(await this.dataService.getMarketStatus());
         } catch (error) {
             console.error('Failed to get market status:', error);
             this.updateMarketStatus({ status: 'unknown', message: 'Status unavailable' });
@@ -671,7 +699,7 @@ class StockDashboard {
         
         this.updateInterval = setInterval(() => {
             if (!document.hidden) {
-                this.updateMarketIndices();
+                this.refreshQuotes();
                 this.updateStats();
                 this.checkAlerts();
             }
@@ -685,32 +713,54 @@ class StockDashboard {
         }
     }
 
-    async updateMarketIndices() {
-        const indices = ['^GSPC', '^DJI', '^IXIC'];
+    /**
+     * Receive quotes for the benchmark indices from the data service
+     */
+    subscribeMarketIndices() {
+        this.indexSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.indexSubscriptions = STOCK_CONFIG.MARKET.INDICES.map(index =>
+            this.dataService.subscribe(index.SYMBOL, (update) => this.updateMarketIndex(update))
+        );
+    }
+
+    async updateMarketIndices(options = {}) {
+        await this.dataService.refresh(STOCK_CONFIG.MARKET.INDICES.map(index => index.SYMBOL), options);
+    }
+
+    /**
+     * Refresh quotes for the cycle: with batching, the indices and every card share
+     * one request; otherwise cards run their own timers and only indices refresh here.
+     * Cycles bypass the cache so its quote lifetime never stretches the refresh interval.
+     */
+    async refreshQuotes() {
+        if (STOCK_CONFIG.API.BATCH.ENABLED) {
+            await this.dataService.refreshAll({ force: true });
+        } else {
+            await this.updateMarketIndices({ force: true });
+        }
+    }
+
+    /**
+     * Show a benchmark index quote published by the data service
+     * @param {Object} update - { symbol, quote, error }
+     */
+    updateMarketIndex({ symbol, quote, error }) {
+        if (error) {
+            console.error(`Failed to update index ${symbol}:`, error);
+            return;
+        }
         
-        for (const symbol of indices) {
-            try {
-                const response = await fetch(`php/get_stock_data.php?symbol=${symbol}`);
-                const result = await response.json();
-                
-                if (result.success) {
-                    const element = document.querySelector(`[data-symbol="${symbol}"]`);
-                    if (element) {
-                        const price = result.data.regularMarketPrice;
-                        const change = result.data.regularMarketPrice - result.data.regularMarketPreviousClose;
-                        const changePercent = (change / result.data.regularMarketPreviousClose) * 100;
-                        
-                        element.querySelector('.index-value').innerHTML = `
-                            ${formatCurrency(price)}
-                            <span class="${change >= 0 ? 'positive' : 'negative'}">
-                                ${change >= 0 ? '+' : ''}${formatCurrency(change)} (${changePercent.toFixed(2)}%)
-                            </span>
-                        `;
-                    }
-                }
-            } catch (error) {
-                console.error(`Failed to update index ${symbol}:`, error);
-            }
+        const element = document.querySelector(`[data-symbol="${symbol}"]`);
+        if (element && quote.price !== null) {
+            const change = quote.change || 0;
+            const changePercent = quote.changePercent || 0;
+            
+            element.querySelector('.index-value').innerHTML = `
+                ${formatCurrency(quote.price)}
+                <span class="${change >= 0 ? 'positive' : 'negative'}">
+                    ${change >= 0 ? '+' : ''}${formatCurrency(change)} (${changePercent.toFixed(2)}%)
+                </span>
+            `;
         }
     }
 
@@ -809,6 +859,22 @@ class StockDashboard {
         }
     }
 
+    showComparison() {
+        if (!window.ComparisonModal || this.comparisonModal) return;
+        
+        this.comparisonModal = new ComparisonModal({
+            symbols: Array.from(this.watchlist),
+            getQuote: (symbol) => {
+                const card = this.stockCards.get(symbol);
+                return card ? card.getData() : null;
+            },
+            onClose: () => {
+                this.comparisonModal = null;
+            }
+        });
+        this.comparisonModal.open();
+    }
+
     toggleFullscreen() {
         if (!document.fullscreenElement) {
             document.documentElement.requestFullscreen().catch(console.error);
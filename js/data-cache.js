@@ -0,0 +1,298 @@
+/**
+ * Data Cache
+ * Persistent client-side cache for API responses, implementing STOCK_CONFIG.CACHE:
+ * per-type lifetimes, least-recently-used eviction by entry count and size, and
+ * cleanup on start and on an interval. Entries live in localStorage so a page reload
+ * reuses fresh data instead of fetching everything again.
+ */
+
+class DataCache {
+    constructor() {
+        this.index = {};                // Storage key -> { type, size, expires, accessed }
+        this.stats = {};                // Type -> { hits, misses, evictions }
+        this.lastAccess = 0;
+        this.cleanupTimer = null;
+        this.saveTimer = null;
+        this.handlePageHide = () => this.saveIndex();
+
+        this.init();
+    }
+
+    /**
+     * Cache shared by every view on the page
+     * @returns {DataCache} Shared instance
+     */
+    static getInstance() {
+        if (!DataCache.instance) {
+            DataCache.instance = new DataCache();
+        }
+        return DataCache.instance;
+    }
+
+    init() {
+        const config = STOCK_CONFIG.CACHE;
+        if (!config.ENABLED) return;
+
+        this.index = Utils.getLocalStorage(config.KEYS.CACHE_INDEX, {}) || {};
+        this.lastAccess = Math.max(0, ...Object.values(this.index).map(meta => meta.accessed));
+
+        if (config.CLEANUP_ON_START) {
+            this.cleanup();
+        }
+
+        if (config.AUTO_CLEANUP) {
+            this.cleanupTimer = setInterval(() => this.cleanup(), config.CLEANUP_INTERVAL);
+        }
+
+        // Access times pending a deferred save are written before the page goes away
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+
+    /**
+     * Storage key prefix and lifetime for each kind of data
+     * @param {string} type - 'quote', 'history' or 'metadata'
+     * @returns {Object} { prefix, ttl }
+     */
+    static getTypeConfig(type) {
+        const config = STOCK_CONFIG.CACHE;
+        const types = {
+            quote: { prefix: config.KEYS.STOCK_DATA, ttl: config.STOCK_DATA_DURATION },
+            history: { prefix: config.KEYS.HISTORICAL_DATA, ttl: config.HISTORICAL_DATA_DURATION },
+            metadata: { prefix: config.KEYS.METADATA, ttl: config.METADATA_DURATION }
+        };
+
+        if (!types[type]) {
+            throw new Error(`Unknown cache type: ${type}`);
+        }
+        return types[type];
+    }
+
+    // ==================== ENTRIES ====================
+
+    /**
+     * Cached value, if present and not expired
+     * @param {string} type - 'quote', 'history' or 'metadata'
+     * @param {string} id - Entry id within the type, e.g. a symbol
+     * @returns {*} Cached value, or undefined on a miss
+     */
+    get(type, id) {
+        if (!STOCK_CONFIG.CACHE.ENABLED) return undefined;
+
+        const key = DataCache.getTypeConfig(type).prefix + id;
+        const meta = this.index[key];
+        let value;
+
+        if (meta && meta.expires > Date.now()) {
+            value = Utils.getLocalStorage(key, undefined);
+        }
+
+        if (value === undefined) {
+            if (meta) this.remove(key);
+            this.record(type, 'misses');
+            Utils.log('debug', `Cache miss: ${key}`);
+            return undefined;
+        }
+
+        meta.accessed = this.touch();
+        this.scheduleSave();
+        this.record(type, 'hits');
+        Utils.log('debug', `Cache hit: ${key}`);
+        return value;
+    }
+
+    /**
+     * Store a value for its type's lifetime, evicting least recently used entries
+     * to stay within MAX_ENTRIES and MAX_SIZE
+     * @param {string} type - 'quote', 'history' or 'metadata'
+     * @param {string} id - Entry id within the type
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} Whether the value was stored
+     */
+    set(type, id, value) {
+        const config = STOCK_CONFIG.CACHE;
+        if (!config.ENABLED || value === undefined) return false;
+
+        const { prefix, ttl } = DataCache.getTypeConfig(type);
+        const key = prefix + id;
+        // localStorage holds UTF-16 strings: two bytes per character
+        const size = JSON.stringify(value).length * 2;
+
+        this.remove(key);
+        if (size > config.MAX_SIZE) return false;
+
+        this.evict(config.MAX_ENTRIES - 1, config.MAX_SIZE - size);
+
+        // The browser's own quota can be lower than MAX_SIZE; make room until it fits
+        while (!Utils.setLocalStorage(key, value, ttl)) {
+            if (!this.evictOldest()) {
+                this.saveIndex();
+                return false;
+            }
+        }
+
+        this.index[key] = { type, size, expires: Date.now() + ttl, accessed: this.touch() };
+        this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Drop an entry
+     * @param {string} type - 'quote', 'history' or 'metadata'
+     * @param {string} id - Entry id within the type
+     */
+    delete(type, id) {
+        if (this.remove(DataCache.getTypeConfig(type).prefix + id)) {
+            this.saveIndex();
+        }
+    }
+
+    /**
+     * Drop every cached entry and reset the statistics
+     */
+    clear() {
+        Object.keys(this.index).forEach(key => Utils.removeLocalStorage(key));
+        this.index = {};
+        this.stats = {};
+        this.saveIndex();
+    }
+
+    // ==================== MAINTENANCE ====================
+
+    /**
+     * Remove expired entries and enforce the configured limits
+     */
+    cleanup() {
+        const now = Date.now();
+        const config = STOCK_CONFIG.CACHE;
+
+        Object.keys(this.index).forEach(key => {
+            if (this.index[key].expires <= now) {
+                this.remove(key);
+            }
+        });
+
+        this.evict(config.MAX_ENTRIES, config.MAX_SIZE);
+        this.saveIndex();
+
+        Utils.log('info', 'Data cache cleanup', this.getStats());
+    }
+
+    /**
+     * Evict least recently used entries until the cache is within limits
+     * @param {number} maxEntries - Entries allowed to remain
+     * @param {number} maxSize - Bytes allowed to remain
+     */
+    evict(maxEntries, maxSize) {
+        while (Object.keys(this.index).length > Math.max(0, maxEntries) || this.getSize() > Math.max(0, maxSize)) {
+            if (!this.evictOldest()) break;
+        }
+    }
+
+    /**
+     * Evict the least recently used entry. The index is not saved here; callers save
+     * it once after evicting.
+     * @returns {boolean} False when the cache was already empty
+     */
+    evictOldest() {
+        const keys = Object.keys(this.index);
+        if (keys.length === 0) return false;
+
+        const oldest = keys.reduce((a, b) => (this.index[a].accessed <= this.index[b].accessed ? a : b));
+        Utils.log('debug', `Cache evict: ${oldest}`);
+        this.record(this.index[oldest].type, 'evictions');
+        this.remove(oldest);
+        return true;
+    }
+
+    /**
+     * Access time for LRU ordering, strictly increasing even within one millisecond
+     * @returns {number} Timestamp
+     */
+    touch() {
+        this.lastAccess = Math.max(Date.now(), this.lastAccess + 1);
+        return this.lastAccess;
+    }
+
+    remove(key) {
+        if (!this.index[key]) return false;
+
+        Utils.removeLocalStorage(key);
+        delete this.index[key];
+        return true;
+    }
+
+    saveIndex() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        Utils.setLocalStorage(STOCK_CONFIG.CACHE.KEYS.CACHE_INDEX, this.index);
+    }
+
+    /**
+     * Save the index once after a burst of hits instead of on every hit
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveIndex();
+        }, STOCK_CONFIG.CACHE.INDEX_SAVE_DELAY);
+    }
+
+    getSize() {
+        return Object.values(this.index).reduce((total, meta) => total + meta.size, 0);
+    }
+
+    // ==================== STATISTICS ====================
+
+    record(type, outcome) {
+        if (!this.stats[type]) {
+            this.stats[type] = { hits: 0, misses: 0, evictions: 0 };
+        }
+        this.stats[type][outcome]++;
+    }
+
+    /**
+     * Hit, miss and eviction counts since page load, with the current cache footprint
+     * @returns {Object} { hits, misses, evictions, hitRate, entries, size, types: { [type]: { hits, misses, evictions } } }
+     */
+    getStats() {
+        const types = Object.values(this.stats);
+        const hits = types.reduce((total, stat) => total + stat.hits, 0);
+        const misses = types.reduce((total, stat) => total + stat.misses, 0);
+        const evictions = types.reduce((total, stat) => total + stat.evictions, 0);
+
+        return {
+            hits,
+            misses,
+            evictions,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            entries: Object.keys(this.index).length,
+            size: this.getSize(),
+            types: { ...this.stats }
+        };
+    }
+
+    destroy() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+
+        if (this.saveTimer) {
+            this.saveIndex();
+        }
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
+}
+
+DataCache.instance = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataCache;
+} else {
+    window.DataCache = DataCache;
+}
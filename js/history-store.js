@@ -0,0 +1,309 @@
+/**
+ * History Store
+ * IndexedDB store of historical price series keyed by symbol and bar interval.
+ * Periods sharing an interval (1M, 3M and 1Y daily bars) share one series, only the
+ * ranges not stored yet are requested, and the stored series are kept under
+ * STOCK_CONFIG.CACHE.HISTORY.MAX_SIZE by evicting the least recently used symbols.
+ */
+
+class HistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Store shared by every view on the page
+     * @returns {HistoryStore} Shared instance
+     */
+    static getInstance() {
+        if (!HistoryStore.instance) {
+            HistoryStore.instance = new HistoryStore();
+        }
+        return HistoryStore.instance;
+    }
+
+    /**
+     * Whether a period's history is kept in the store
+     * @param {string} period - Chart period
+     * @returns {boolean} True when the store is enabled and the period has an interval
+     */
+    static supports(period) {
+        const config = STOCK_CONFIG.CACHE.HISTORY;
+        return config.ENABLED && typeof indexedDB !== 'undefined' && Boolean(config.PERIODS[period]);
+    }
+
+    // ==================== SERIES ====================
+
+    /**
+     * Points covering a period, fetching only what the store is missing
+     * @param {string} symbol - Upper-case symbol
+     * @param {string} period - Chart period supported by the store
+     * @param {Function} fetchRange - ({ interval, start, end }) => Promise of raw chart data for
+     *                                that range; start and end are milliseconds since epoch
+     * @returns {Promise<Array<Object>>} Points { time, open, high, low, close, volume } for the period
+     */
+    async getSeries(symbol, period, fetchRange) {
+        const { INTERVAL: interval, RANGE: range } = STOCK_CONFIG.CACHE.HISTORY.PERIODS[period];
+        const key = `${symbol}:${interval}`;
+        const now = Date.now();
+        const start = now - range;
+
+        let record = null;
+        try {
+            record = await this.read(key);
+        } catch (error) {
+            Utils.log('warn', `History store unavailable, fetching ${key} directly`, error);
+            return HistoryStore.toPoints(await fetchRange({ interval, start, end: now }));
+        }
+
+        const ranges = HistoryStore.getMissingRanges(record, start, now);
+        let fetched;
+
+        try {
+            fetched = await Promise.all(ranges.map(async missing => ({
+                ...missing,
+                points: HistoryStore.toPoints(await fetchRange({ interval, ...missing }))
+            })));
+        } catch (error) {
+            // Serve what is stored rather than nothing; the gap is requested again next time
+            if (!record || record.points.length === 0) throw error;
+            Utils.log('warn', `Could not update stored history for ${key}`, error);
+            fetched = [];
+        }
+
+        if (fetched.some(result => result.points.some(point => point.time === null))) {
+            // Untimed data cannot be merged by range; pass it through unstored
+            return fetched.flatMap(result => result.points);
+        }
+
+        const stored = record;
+        record = HistoryStore.merge(record || { key, symbol, interval, from: now, to: now, points: [] }, fetched);
+        record.accessed = now;
+
+        try {
+            if (record === stored) {
+                // Nothing new: only the access time changes, and the size is unchanged
+                await this.touch(record);
+            } else {
+                await this.write(record);
+                if (!stored || record.size !== stored.size) {
+                    await this.enforceQuota(key);
+                }
+            }
+        } catch (error) {
+            Utils.log('warn', `Could not save history for ${key}`, error);
+        }
+
+        return record.points.filter(point => point.time >= start);
+    }
+
+    /**
+     * Time ranges to request for a period given what is stored
+     * The tail is requested from the last stored bar, so a bar still in progress is replaced,
+     * once it is older than HISTORICAL_DATA_DURATION.
+     * @param {Object|null} record - Stored series
+     * @param {number} start - Period start (ms)
+     * @param {number} end - Period end (ms)
+     * @returns {Array<Object>} Ranges { start, end }
+     */
+    static getMissingRanges(record, start, end) {
+        if (!record || record.points.length === 0) {
+            return [{ start, end }];
+        }
+
+        const ranges = [];
+
+        if (start < record.from) {
+            ranges.push({ start, end: record.from });
+        }
+        if (end - record.to >= STOCK_CONFIG.CACHE.HISTORICAL_DATA_DURATION) {
+            ranges.push({ start: record.points[record.points.length - 1].time, end });
+        }
+
+        return ranges;
+    }
+
+    /**
+     * Merge fetched ranges into a stored series; fetched bars replace stored bars with the same time
+     * @param {Object} record - Stored series
+     * @param {Array<Object>} fetched - Ranges { start, end, points }
+     * @returns {Object} Updated series record
+     */
+    static merge(record, fetched) {
+        if (fetched.length === 0) return record;
+
+        const byTime = new Map(record.points.map(point => [point.time, point]));
+        fetched.forEach(result => result.points.forEach(point => byTime.set(point.time, point)));
+
+        const points = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+
+        return {
+            ...record,
+            points,
+            from: Math.min(record.from, ...fetched.map(result => result.start)),
+            to: Math.max(record.to, ...fetched.map(result => result.end)),
+            size: JSON.stringify(points).length * 2
+        };
+    }
+
+    /**
+     * Compact point list from raw chart data
+     * @param {Array|Object} data - Raw chart data accepted by ChartManager.normalizeData
+     * @returns {Array<Object>} Points without the positional index
+     */
+    static toPoints(data) {
+        return ChartManager.normalizeData(data).map(({ index, ...point }) => point);
+    }
+
+    // ==================== QUOTA ====================
+
+    /**
+     * Evict the least recently used symbols, with all their intervals, until the
+     * stored series fit in MAX_SIZE. The series just written is never evicted.
+     * @param {string} keepKey - Key of the series just written
+     */
+    async enforceQuota(keepKey) {
+        const records = await this.readAllMeta();
+        const maxSize = STOCK_CONFIG.CACHE.HISTORY.MAX_SIZE;
+        let total = records.reduce((sum, record) => sum + record.size, 0);
+        if (total <= maxSize) return;
+
+        const keepSymbol = records.find(record => record.key === keepKey)?.symbol;
+        const symbols = new Map();
+        records.forEach(record => {
+            const entry = symbols.get(record.symbol) || { symbol: record.symbol, accessed: 0, keys: [], size: 0 };
+            entry.accessed = Math.max(entry.accessed, record.accessed);
+            entry.keys.push(record.key);
+            entry.size += record.size;
+            symbols.set(record.symbol, entry);
+        });
+
+        const candidates = Array.from(symbols.values())
+            .filter(entry => entry.symbol !== keepSymbol)
+            .sort((a, b) => a.accessed - b.accessed);
+
+        for (const entry of candidates) {
+            if (total <= maxSize) break;
+
+            Utils.log('debug', `History store evicting ${entry.symbol}`);
+            await Promise.all(entry.keys.map(key => this.delete(key)));
+            total -= entry.size;
+        }
+    }
+
+    // ==================== INDEXEDDB ====================
+
+    open() {
+        if (!this.dbPromise) {
+            const config = STOCK_CONFIG.CACHE.HISTORY;
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(config.DB_NAME, config.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(config.STORE)) {
+                        db.createObjectStore(config.STORE, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(config.META_STORE)) {
+                        db.createObjectStore(config.META_STORE, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('History database upgrade blocked by another tab'));
+            });
+
+            // Let a later call try again instead of reusing the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests in one transaction over the series and metadata stores
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (seriesStore, metaStore) => IDBRequest whose result is returned
+     * @returns {Promise<*>} Request result
+     */
+    async transact(mode, operation) {
+        const db = await this.open();
+        const { STORE, META_STORE } = STOCK_CONFIG.CACHE.HISTORY;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE, META_STORE], mode);
+            const request = operation(transaction.objectStore(STORE), transaction.objectStore(META_STORE));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+        });
+    }
+
+    async read(key) {
+        return (await this.transact('readonly', store => store.get(key))) || null;
+    }
+
+    /**
+     * Store a series with its metadata record
+     * @param {Object} record - Series record
+     * @returns {Promise<void>}
+     */
+    write(record) {
+        const { key, symbol, size, accessed } = record;
+
+        return this.transact('readwrite', (store, meta) => {
+            meta.put({ key, symbol, size, accessed });
+            return store.put(record);
+        });
+    }
+
+    /**
+     * Record a read of a series without rewriting its points
+     * @param {Object} record - Stored series with an updated access time
+     * @returns {Promise<void>}
+     */
+    touch(record) {
+        const { key, symbol, size, accessed } = record;
+        return this.transact('readwrite', (store, meta) => meta.put({ key, symbol, size, accessed }));
+    }
+
+    delete(key) {
+        return this.transact('readwrite', (store, meta) => {
+            meta.delete(key);
+            return store.delete(key);
+        });
+    }
+
+    /**
+     * Key, symbol, size and access time of every stored series, without their points
+     * @returns {Promise<Array<Object>>} Series metadata
+     */
+    async readAllMeta() {
+        const records = await this.transact('readonly', (store, meta) => meta.getAll());
+        return records.map(({ key, symbol, size, accessed }) => ({ key, symbol, size: size || 0, accessed: accessed || 0 }));
+    }
+
+    /**
+     * Remove every stored series
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transact('readwrite', (store, meta) => {
+            meta.clear();
+            return store.clear();
+        });
+    }
+}
+
+HistoryStore.instance = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryStore;
+} else {
+    window.HistoryStore = HistoryStore;
+}
@@ -0,0 +1,278 @@
+/**
+ * Quote Providers
+ * Adapters that map each data provider's quote payloads into one canonical quote,
+ * so views never deal with provider field names. The active provider is chosen by
+ * STOCK_CONFIG.API.PROVIDER.NAME.
+ *
+ * Canonical quote:
+ *   { symbol, name, currency, exchange, price, previousClose, change, changePercent,
+ *     open, dayHigh, dayLow, volume, marketCap, peRatio, fiftyTwoWeekHigh,
+ *     fiftyTwoWeekLow, timestamp, chartData, provider }
+ * Prices and volumes are numbers or null, timestamp is milliseconds since epoch.
+ */
+
+class QuoteProviders {
+    /**
+     * Adapter for a provider
+     * @param {string} name - Provider name; defaults to the configured provider
+     * @returns {Object} Adapter { label, unwrap, list, map }
+     */
+    static get(name = STOCK_CONFIG.API.PROVIDER.NAME) {
+        const adapter = QuoteProviders.BY_NAME[name];
+
+        if (!adapter) {
+            throw new Error(`Unknown quote provider: ${name}`);
+        }
+        return adapter;
+    }
+
+    /**
+     * Display name of the configured provider, for attribution
+     * @returns {string} Label
+     */
+    static getLabel() {
+        const config = STOCK_CONFIG.API.PROVIDER;
+        return (config.NAME === 'generic' && config.GENERIC.LABEL) || QuoteProviders.get().label;
+    }
+
+    // ==================== CANONICAL QUOTES ====================
+
+    /**
+     * Canonical quote from a provider payload
+     * @param {Object|string} data - Quote payload as returned by the endpoint
+     * @param {string} symbol - Requested symbol, used when the payload omits it
+     * @param {string} name - Provider name; defaults to the configured provider
+     * @returns {Object} Canonical quote
+     */
+    static toQuote(data, symbol, name = STOCK_CONFIG.API.PROVIDER.NAME) {
+        const adapter = QuoteProviders.get(name);
+        const raw = data ? adapter.unwrap(data) : null;
+
+        if (!raw || typeof raw !== 'object') {
+            throw new Error(`No quote data for ${symbol}`);
+        }
+
+        const quote = QuoteProviders.createQuote(adapter.map(raw), symbol);
+        if (quote.price === null) {
+            throw new Error(`No price in quote for ${quote.symbol}`);
+        }
+
+        quote.provider = name;
+        return quote;
+    }
+
+    /**
+     * Per-symbol payloads of a batched response
+     * @param {*} data - Batched payload as returned by the endpoint
+     * @param {string} name - Provider name; defaults to the configured provider
+     * @returns {Array<Array>} [symbol, payload] pairs; symbol is null when it cannot be told
+     */
+    static toEntries(data, name = STOCK_CONFIG.API.PROVIDER.NAME) {
+        const adapter = QuoteProviders.get(name);
+        const list = adapter.list(data);
+
+        if (Array.isArray(list)) {
+            return list.map(entry => {
+                const raw = entry ? adapter.unwrap(entry.success === true ? entry.data : entry) : null;
+                const symbol = raw && typeof raw === 'object' ? adapter.map(raw).symbol : null;
+                return [symbol ? String(symbol).toUpperCase() : null, entry];
+            });
+        }
+
+        return Object.entries(list || {}).map(([symbol, entry]) => [symbol.toUpperCase(), entry]);
+    }
+
+    /**
+     * Fill derived fields and parse numbers of a mapped quote
+     * Change is derived from price and previous close; a provider that only reports the
+     * change has its previous close derived from that instead.
+     * @param {Object} fields - Canonical field names mapped from a payload, values unparsed
+     * @param {string} symbol - Requested symbol, used when the fields have none
+     * @returns {Object} Canonical quote
+     */
+    static createQuote(fields, symbol) {
+        const number = QuoteProviders.toNumber;
+        const price = number(fields.price);
+        const change = number(fields.change);
+        let previousClose = number(fields.previousClose);
+
+        if (previousClose === null && price !== null) {
+            previousClose = change !== null ? price - change : price;
+        }
+
+        const derivedChange = price !== null && previousClose !== null ? price - previousClose : null;
+
+        return {
+            symbol: String(fields.symbol || symbol).toUpperCase(),
+            name: fields.name ? String(fields.name) : '',
+            currency: fields.currency || null,
+            exchange: fields.exchange || null,
+            price,
+            previousClose,
+            change: derivedChange,
+            changePercent: derivedChange !== null && previousClose ? (derivedChange / previousClose) * 100 : null,
+            open: number(fields.open),
+            dayHigh: number(fields.dayHigh),
+            dayLow: number(fields.dayLow),
+            volume: number(fields.volume),
+            marketCap: number(fields.marketCap),
+            peRatio: number(fields.peRatio),
+            fiftyTwoWeekHigh: number(fields.fiftyTwoWeekHigh),
+            fiftyTwoWeekLow: number(fields.fiftyTwoWeekLow),
+            timestamp: QuoteProviders.toTimestamp(fields.timestamp),
+            chartData: fields.chartData || null,
+            provider: null
+        };
+    }
+
+    // ==================== ADAPTERS ====================
+
+    /**
+     * Yahoo Finance quote fields; v7 quote responses wrap quotes in quoteResponse.result
+     * @param {Object} raw - Quote payload
+     * @returns {Object} Canonical field names with unparsed values
+     */
+    static mapYahoo(raw) {
+        return {
+            symbol: raw.symbol,
+            name: raw.longName || raw.shortName || raw.name,
+            currency: raw.currency,
+            exchange: raw.fullExchangeName || raw.exchange,
+            price: raw.regularMarketPrice,
+            previousClose: raw.regularMarketPreviousClose,
+            change: raw.regularMarketChange,
+            open: raw.regularMarketOpen,
+            dayHigh: raw.regularMarketDayHigh,
+            dayLow: raw.regularMarketDayLow,
+            volume: raw.regularMarketVolume,
+            marketCap: raw.marketCap,
+            peRatio: raw.trailingPE,
+            fiftyTwoWeekHigh: raw.fiftyTwoWeekHigh,
+            fiftyTwoWeekLow: raw.fiftyTwoWeekLow,
+            timestamp: raw.regularMarketTime,
+            chartData: raw.chartData
+        };
+    }
+
+    /**
+     * Alpha Vantage GLOBAL_QUOTE fields ("05. price" and so on)
+     * @param {Object} raw - Contents of "Global Quote"
+     * @returns {Object} Canonical field names with unparsed values
+     */
+    static mapAlphaVantage(raw) {
+        return {
+            symbol: raw['01. symbol'],
+            name: raw.name,
+            price: raw['05. price'],
+            previousClose: raw['08. previous close'],
+            change: raw['09. change'],
+            open: raw['02. open'],
+            dayHigh: raw['03. high'],
+            dayLow: raw['04. low'],
+            volume: raw['06. volume'],
+            timestamp: raw['07. latest trading day'],
+            chartData: raw.chartData
+        };
+    }
+
+    /**
+     * Fields named by STOCK_CONFIG.API.PROVIDER.GENERIC.FIELDS, from JSON objects or CSV rows
+     * @param {Object} raw - Quote object or CSV row keyed by header
+     * @returns {Object} Canonical field names with unparsed values
+     */
+    static mapGeneric(raw) {
+        const fields = {};
+
+        Object.entries(STOCK_CONFIG.API.PROVIDER.GENERIC.FIELDS).forEach(([field, source]) => {
+            fields[field] = raw[source];
+        });
+        return fields;
+    }
+
+    /**
+     * Rows of CSV text with a header line, as objects keyed by header
+     * Quoted values may contain commas and doubled quotes.
+     * @param {string} text - CSV text
+     * @returns {Array<Object>} Rows
+     */
+    static parseCsv(text) {
+        const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) return [];
+
+        const parseLine = line => {
+            const values = [];
+            const pattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(,|$)/g;
+            let match;
+
+            while ((match = pattern.exec(line)) !== null) {
+                values.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+                if (match[3] === '') break;
+            }
+            return values;
+        };
+
+        const headers = parseLine(lines[0]);
+        return lines.slice(1).map(line => {
+            const values = parseLine(line);
+            return Object.fromEntries(headers.map((header, i) => [header, values[i] !== undefined ? values[i] : '']));
+        });
+    }
+
+    // ==================== HELPERS ====================
+
+    static toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const parsed = parseFloat(typeof value === 'string' ? value.replace(/[,%]/g, '') : value);
+        return Number.isFinite(parsed) ? parsed : null;
+    }
+
+    /**
+     * Milliseconds since epoch from Unix seconds, milliseconds or a date string
+     * @param {number|string} value - Provider timestamp
+     * @returns {number|null} Timestamp
+     */
+    static toTimestamp(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        const numeric = Number(value);
+        if (Number.isFinite(numeric)) {
+            // Anything before 2001 in milliseconds is a Unix time in seconds
+            return numeric < 1e12 ? numeric * 1000 : numeric;
+        }
+
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+}
+
+/**
+ * unwrap: single payload -> quote object; list: batched payload -> array or object keyed by symbol
+ */
+QuoteProviders.BY_NAME = {
+    yahoo: {
+        label: 'Yahoo Finance',
+        unwrap: data => (data.quoteResponse ? data.quoteResponse.result[0] : data),
+        list: data => (data && data.quoteResponse ? data.quoteResponse.result : data),
+        map: raw => QuoteProviders.mapYahoo(raw)
+    },
+    alphavantage: {
+        label: 'Alpha Vantage',
+        unwrap: data => data['Global Quote'] || data,
+        list: data => data,
+        map: raw => QuoteProviders.mapAlphaVantage(raw)
+    },
+    generic: {
+        label: 'Market data feed',
+        unwrap: data => (typeof data === 'string' ? QuoteProviders.parseCsv(data)[0] : data),
+        list: data => (typeof data === 'string' ? QuoteProviders.parseCsv(data) : data),
+        map: raw => QuoteProviders.mapGeneric(raw)
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuoteProviders;
+} else {
+    window.QuoteProviders = QuoteProviders;
+}
@@ -13,13 +13,20 @@ class StockCard {
             refreshInterval: 30000, // 30 seconds
             enableAlerts: true,
             compact: false,
+            dataService: null,  // Quote source, defaults to the shared StockDataService
             ...options
         };
         
+        this.dataService = this.options.dataService || StockDataService.getInstance();
+        this.unsubscribe = null;
         this.data = null;
         this.previousData = null;
         this.element = null;
         this.chartInstance = null;
+        this.chartControls = null;
+        this.chartModal = null;
+        this.history = null;            // { period, data } for the chart's non-intraday period
+        this.chartRequestId = 0;
         this.refreshTimer = null;
         this.isLoading = false;
         this.hasError = false;
@@ -30,6 +37,7 @@ class StockCard {
     init() {
         this.createElement();
         this.bindEvents();
+        this.unsubscribe = this.dataService.subscribe(this.symbol, (update) => this.handleQuoteUpdate(update));
         this.loadData();
         
         if (this.options.autoRefresh) {
@@ -44,6 +52,15 @@ class StockCard {
         
         this.element.innerHTML = this.getCardTemplate();
         this.container.appendChild(this.element);
+        
+        if (window.ChartControls) {
+            this.chartControls = new ChartControls(
+                this.symbol,
+                this.element.querySelector('.chart-options'),
+                this.element.querySelector('.chart-panels'),
+                { getChart: () => this.chartInstance }
+            );
+        }
     }
 
     getCardTemplate() {
@@ -54,6 +71,10 @@ class StockCard {
                     <span class="stock-name">Loading...</span>
                 </div>
                 <div class="stock-actions">
+                    ${STOCK_CONFIG.FEATURES.INTERACTIVE_CHARTS ? `
+                    <button class="btn-chart" title="Open Chart">
+                        <i class="icon-chart"></i>
+                    </button>` : ''}
                     <button class="btn-refresh" title="Refresh">
                         <i class="icon-refresh"></i>
                     </button>
@@ -126,7 +147,9 @@ class StockCard {
                             <button class="chart-period" data-period="1M">1M</button>
                             <button class="chart-period" data-period="3M">3M</button>
                             <button class="chart-period" data-period="1Y">1Y</button>
+                            <span class="chart-options"></span>
                         </div>
+                        <div class="chart-panels"></div>
                         <div class="chart-container">
                             <canvas class="stock-chart"></canvas>
                         </div>
@@ -174,45 +197,75 @@ class StockCard {
             });
         });
 
-        // Card click for details
+        // Chart zoom and drawing tool state drive the toolbar
+        this.element.addEventListener('chartViewChange', (e) => {
+            if (this.chartControls) {
+                this.chartControls.setZoomed(e.detail.zoomed);
+            }
+        });
+        this.element.addEventListener('chartToolChange', (e) => {
+            if (this.chartControls) {
+                this.chartControls.setActiveTool(e.detail.tool);
+            }
+        });
+
+        // Open chart modal
+        const chartButton = this.element.querySelector('.btn-chart');
+        if (chartButton) {
+            chartButton.addEventListener('click', () => {
+                this.openChartModal();
+            });
+        }
+
+        // Card click for details (clicks ending a chart drag are swallowed by ChartManager)
         this.element.addEventListener('click', (e) => {
-            if (!e.target.closest('.stock-actions') && !e.target.closest('.chart-controls')) {
+            if (this.chartInstance && this.chartInstance.isDragging()) return;
+            
+            if (!e.target.closest('.stock-actions') && !e.target.closest('.chart-controls') &&
+                !e.target.closest('.chart-panels')) {
                 this.toggleDetails();
             }
         });
     }
 
-    async loadData() {
+    /**
+     * Request a quote for the card
+     * @param {boolean} force - Skip the cache, e.g. for a manual refresh
+     */
+    async loadData(force = false) {
         if (this.isLoading) return;
         
         this.setLoading(true);
         this.setError(false);
         
-        try {
-            const response = await fetch(`php/get_stock_data.php?symbol=${this.symbol}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const result = await response.json();
-            
-            if (result.success) {
-                this.previousData = this.data;
-                this.data = result.data;
-                this.updateDisplay();
-                this.setStatus('success', 'Data loaded');
-            } else {
-                throw new Error(result.error || 'Failed to fetch stock data');
-            }
-            
-        } catch (error) {
+        // The result arrives through handleQuoteUpdate, like refreshes started elsewhere
+        await this.dataService.refresh(this.symbol, { force });
+        
+        this.setLoading(false);
+    }
+
+    /**
+     * Apply a quote update published by the data service
+     * @param {Object} update - { symbol, quote, error }
+     */
+    handleQuoteUpdate({ quote, error }) {
+        if (error) {
             console.error(`Error loading data for ${this.symbol}:`, error);
             this.setError(true, error.message);
             this.setStatus('error', 'Failed to load');
-        } finally {
-            this.setLoading(false);
+            return;
         }
+        
+        this.setError(false);
+        this.previousData = this.data;
+        this.data = quote;
+        this.updateDisplay();
+        this.setStatus('success', 'Data loaded');
+        
+        // Let the dashboard refresh views that summarize this card
+        window.dispatchEvent(new CustomEvent('stockDataUpdated', {
+            detail: { symbol: this.symbol, data: this.data }
+        }));
     }
 
     updateDisplay() {
@@ -222,7 +275,7 @@ class StockCard {
         
         // Update stock name
         this.element.querySelector('.stock-name').textContent = 
-            this.data.name || this.data.longName || this.symbol;
+            this.data.name || this.symbol;
 
         // Update price information
         this.updatePriceDisplay();
@@ -246,10 +299,9 @@ class StockCard {
     }
 
     updatePriceDisplay() {
-        const price = parseFloat(this.data.regularMarketPrice || this.data.price || 0);
-        const previousClose = parseFloat(this.data.regularMarketPreviousClose || this.data.previousClose || price);
-        const change = price - previousClose;
-        const changePercent = previousClose !== 0 ? (change / previousClose) * 100 : 0;
+        const { price } = this.data;
+        const change = this.data.change || 0;
+        const changePercent = this.data.changePercent || 0;
 
         // Update price
         this.element.querySelector('.price-value').textContent = formatCurrency(price);
@@ -272,12 +324,12 @@ class StockCard {
 
     updateDetailsDisplay() {
         const details = {
-            'open-price': this.data.regularMarketOpen || this.data.open,
-            'high-price': this.data.regularMarketDayHigh || this.data.dayHigh,
-            'low-price': this.data.regularMarketDayLow || this.data.dayLow,
-            'volume': this.data.regularMarketVolume || this.data.volume,
+            'open-price': this.data.open,
+            'high-price': this.data.dayHigh,
+            'low-price': this.data.dayLow,
+            'volume': this.data.volume,
             'market-cap': this.data.marketCap,
-            'pe-ratio': this.data.trailingPE || this.data.peRatio
+            'pe-ratio': this.data.peRatio
         };
 
         Object.entries(details).forEach(([className, value]) => {
@@ -299,37 +351,99 @@ class StockCard {
     }
 
     updateTimestamp() {
-        const timestamp = this.data.regularMarketTime || this.data.timestamp || Date.now();
-        const date = new Date(timestamp * 1000); // Convert to milliseconds if needed
-        
-        this.element.querySelector('.timestamp').textContent = formatTime(date);
+        this.element.querySelector('.timestamp').textContent = formatTime(new Date(this.data.timestamp || Date.now()));
         this.element.querySelector('.update-time').textContent = formatTime(new Date());
     }
 
-    updateChart() {
-        // This would integrate with chart-manager.js or a charting library
-        const chartContainer = this.element.querySelector('.chart-container');
-        const canvas = this.element.querySelector('.stock-chart');
+    /**
+     * Draw or refresh the card chart
+     * Intraday data comes with the quote; longer periods are loaded through the data
+     * service's history, and quote refreshes leave them as they are
+     * @param {boolean} rebuild - Recreate the chart (e.g. after settings changed elsewhere)
+     */
+    updateChart(rebuild = false) {
+        if (!window.ChartManager) return;
         
-        if (window.ChartManager) {
-            if (this.chartInstance) {
-                this.chartInstance.destroy();
-            }
+        const period = this.getCurrentChartPeriod();
+        
+        if (period === '1D') {
+            // Intraday charts are colored against yesterday's close
+            this.drawChart(period, this.data.chartData, this.data.previousClose, rebuild);
+            return;
+        }
+        
+        if (!this.history || this.history.period !== period) {
+            this.loadChartHistory(period);
+        } else if (rebuild || !this.chartInstance || this.chartInstance.options.period !== period) {
+            this.drawChart(period, this.history.data, null, true);
+        }
+    }
+
+    /**
+     * Load a period's history for the chart; a request superseded by another
+     * period change (or by removing the card) is ignored
+     * @param {string} period - Chart period other than 1D
+     */
+    async loadChartHistory(period) {
+        const requestId = ++this.chartRequestId;
+        this.setStatus('info', 'Loading chart...');
+        
+        try {
+            const data = await this.dataService.getHistory(this.symbol, period);
+            if (requestId !== this.chartRequestId) return;
             
-            this.chartInstance = new window.ChartManager(canvas, {
-                symbol: this.symbol,
-                data: this.data.chartData,
-                type: 'line',
-                period: this.getCurrentChartPeriod()
-            });
+            this.history = { period, data };
+            this.setStatus('success', 'Chart loaded');
+            this.drawChart(period, data, null, true);
+        } catch (error) {
+            if (requestId !== this.chartRequestId) return;
+            
+            Utils.log('error', `Failed to load ${period} chart for ${this.symbol}`, error);
+            this.setStatus('error', 'Chart data unavailable');
         }
     }
 
+    /**
+     * Draw chart data, merging into the existing chart when the period is unchanged so
+     * zoom, tooltip and drawings survive; the chart is rebuilt otherwise or on request
+     * @param {string} period - Chart period
+     * @param {Array|Object} data - Chart data accepted by ChartManager.normalizeData
+     * @param {number|null} previousClose - Baseline for intraday coloring
+     * @param {boolean} rebuild - Recreate the chart
+     */
+    drawChart(period, data, previousClose, rebuild) {
+        const canvas = this.element.querySelector('.stock-chart');
+        
+        if (this.chartInstance && !rebuild && this.chartInstance.options.period === period) {
+            this.chartInstance.update(data, { previousClose });
+            return;
+        }
+        
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+        }
+        
+        // Without the toolbar the chart uses ChartManager's default options
+        if (this.chartControls) {
+            this.chartControls.reset();
+        }
+        
+        this.chartInstance = new window.ChartManager(canvas, {
+            symbol: this.symbol,
+            title: this.data.name,
+            data,
+            period: period,
+            compact: this.options.compact,
+            ...(this.chartControls ? this.chartControls.getChartOptions() : {}),
+            previousClose
+        });
+    }
+
     animatePriceChange() {
         if (!this.previousData) return;
         
-        const currentPrice = parseFloat(this.data.regularMarketPrice || this.data.price || 0);
-        const previousPrice = parseFloat(this.previousData.regularMarketPrice || this.previousData.price || 0);
+        const currentPrice = this.data.price;
+        const previousPrice = this.previousData.price;
         
         if (currentPrice !== previousPrice) {
             const priceElement = this.element.querySelector('.price-value');
@@ -349,10 +463,36 @@ class StockCard {
         });
         this.element.querySelector(`[data-period="${period}"]`).classList.add('active');
         
+        // Drop the previous period's history and any request still loading it
+        this.history = null;
+        this.chartRequestId++;
+        
         // Update chart
         this.updateChart();
     }
 
+    openChartModal() {
+        if (!window.ChartModal || !STOCK_CONFIG.FEATURES.INTERACTIVE_CHARTS || this.chartModal) return;
+        
+        this.chartModal = new ChartModal(this.symbol, {
+            name: this.data ? this.data.name : '',
+            quote: this.data,
+            period: this.getCurrentChartPeriod(),
+            onClose: () => {
+                this.chartModal = null;
+                
+                // Pick up chart settings changed in the modal
+                if (this.chartControls) {
+                    this.chartControls.reload();
+                }
+                if (this.data && this.options.showChart) {
+                    this.updateChart(true);
+                }
+            }
+        });
+        this.chartModal.open();
+    }
+
     getCurrentChartPeriod() {
         const activeBtn = this.element.querySelector('.chart-period.active');
         return activeBtn ? activeBtn.dataset.period : '1D';
@@ -364,7 +504,7 @@ class StockCard {
 
     showAlertDialog() {
         // This would show a modal or popup for setting price alerts
-        const currentPrice = parseFloat(this.data.regularMarketPrice || this.data.price || 0);
+        const currentPrice = this.data.price;
         const alertPrice = prompt(`Set price alert for ${this.symbol}\nCurrent price: ${formatCurrency(currentPrice)}\n\nAlert when price reaches:`);
         
         if (alertPrice && !isNaN(parseFloat(alertPrice))) {
@@ -393,7 +533,7 @@ class StockCard {
         const alert = alerts[this.symbol];
         
         if (alert && !alert.triggered && this.data) {
-            const currentPrice = parseFloat(this.data.regularMarketPrice || this.data.price || 0);
+            const currentPrice = this.data.price;
             
             if ((alert.price >= alert.created && currentPrice >= alert.price) ||
                 (alert.price < alert.created && currentPrice <= alert.price)) {
@@ -462,19 +602,20 @@ class StockCard {
     }
 
     refresh() {
-        this.loadData();
+        this.loadData(true);
     }
 
     retry() {
         this.setError(false);
-        this.loadData();
+        this.loadData(true);
     }
 
     startAutoRefresh() {
         this.stopAutoRefresh();
         this.refreshTimer = setInterval(() => {
             if (!document.hidden && !this.isLoading) {
-                this.loadData();
+                // Polls always fetch; the cache only serves first paint and reloads
+                this.loadData(true);
             }
         }, this.options.refreshInterval);
     }
@@ -486,8 +627,17 @@ class StockCard {
         }
     }
 
+    stopQuoteUpdates() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
     remove() {
         this.stopAutoRefresh();
+        this.stopQuoteUpdates();
+        this.chartRequestId++;
         
         if (this.chartInstance && this.chartInstance.destroy) {
             this.chartInstance.destroy();
@@ -506,6 +656,11 @@ class StockCard {
 
     destroy() {
         this.stopAutoRefresh();
+        this.stopQuoteUpdates();
+        this.chartRequestId++;
+        if (this.chartModal) {
+            this.chartModal.close();
+        }
         if (this.chartInstance && this.chartInstance.destroy) {
             this.chartInstance.destroy();
         }
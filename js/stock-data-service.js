@@ -0,0 +1,418 @@
+/**
+ * Stock Data Service
+ * Single owner of the STOCK_CONFIG.API endpoints. Requests go through Utils.makeRequest
+ * for the timeout and retries with backoff, responses are unwrapped from the
+ * { success, data, error } envelope and normalized, and quote updates are published
+ * to per-symbol subscribers so cards and the dashboard no longer fetch on their own.
+ * Quote refreshes are batched into one request per cycle when STOCK_CONFIG.API.BATCH
+ * is enabled, responses that are still fresh in the DataCache are served without a
+ * request, and historical series are extended incrementally in the HistoryStore.
+ * Quote payloads are mapped into the canonical quote of the configured provider's
+ * QuoteProviders adapter.
+ */
+
+class StockDataService {
+    /**
+     * @param {Object} options - { timeout, retries, retryDelay } overriding STOCK_CONFIG.API
+     */
+    constructor(options = {}) {
+        this.options = {
+            timeout: STOCK_CONFIG.API.TIMEOUT,
+            retries: STOCK_CONFIG.API.RETRY_ATTEMPTS,   // Total attempts per request
+            retryDelay: STOCK_CONFIG.API.RETRY_DELAY,   // Multiplied by the attempt number
+            ...options
+        };
+
+        this.subscribers = new Map();   // Symbol -> Set of callbacks
+        this.quotes = new Map();        // Symbol -> last canonical quote
+        this.inflight = new Map();      // Request URL -> promise shared by identical requests
+        this.batch = null;              // Symbols waiting for the next batched request
+        this.cache = DataCache.getInstance();
+    }
+
+    /**
+     * Service shared by every view on the page
+     * @returns {StockDataService} Shared instance
+     */
+    static getInstance() {
+        if (!StockDataService.instance) {
+            StockDataService.instance = new StockDataService();
+        }
+        return StockDataService.instance;
+    }
+
+    // ==================== SUBSCRIPTIONS ====================
+
+    /**
+     * Receive quote updates for a symbol
+     * @param {string} symbol - Stock or index symbol
+     * @param {Function} callback - Called with { symbol, quote, error } after each refresh
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(symbol, callback) {
+        symbol = symbol.toUpperCase();
+
+        if (!this.subscribers.has(symbol)) {
+            this.subscribers.set(symbol, new Set());
+        }
+        this.subscribers.get(symbol).add(callback);
+
+        return () => {
+            const callbacks = this.subscribers.get(symbol);
+            if (!callbacks) return;
+
+            callbacks.delete(callback);
+            if (callbacks.size === 0) {
+                this.subscribers.delete(symbol);
+            }
+        };
+    }
+
+    /**
+     * Publish quotes to each symbol's subscribers, from the cache while fresh and
+     * otherwise fetched, or the error when fetching fails. With batching enabled,
+     * refreshes requested within BATCH.WINDOW share one request.
+     * @param {string|Array<string>} symbols - Symbol or symbols to refresh
+     * @param {Object} options - { force } to bypass the cache
+     * @returns {Promise<void>} Resolves once every subscriber has been notified; never rejects
+     */
+    refresh(symbols, options = {}) {
+        const config = STOCK_CONFIG.API.BATCH;
+        let list = [...new Set((Array.isArray(symbols) ? symbols : [symbols]).map(symbol => symbol.toUpperCase()))];
+
+        if (!options.force) {
+            list = list.filter(symbol => !this.publishCached(symbol));
+        }
+
+        if (list.length === 0) return Promise.resolve();
+        if (!config.ENABLED) return this.refreshEach(list);
+
+        if (!this.batch) {
+            const batch = { symbols: new Set() };
+            batch.promise = new Promise(resolve => setTimeout(resolve, config.WINDOW)).then(() => {
+                this.batch = null;
+                return this.refreshBatch(Array.from(batch.symbols));
+            });
+            this.batch = batch;
+        }
+
+        list.forEach(symbol => this.batch.symbols.add(symbol));
+        return this.batch.promise;
+    }
+
+    /**
+     * Refresh symbols with one request each
+     * @param {Array<string>} symbols - Upper-case symbols
+     * @returns {Promise<void>} Resolves once every subscriber has been notified
+     */
+    async refreshEach(symbols) {
+        await Promise.all(symbols.map(async symbol => {
+            try {
+                this.publish(symbol, { quote: await this.fetchQuote(symbol) });
+            } catch (error) {
+                this.publish(symbol, { error });
+            }
+        }));
+    }
+
+    /**
+     * Refresh symbols with batched requests. Symbols a batch does not return a quote
+     * for, or every symbol of a batch that fails outright, fall back to single requests.
+     * @param {Array<string>} symbols - Upper-case symbols
+     * @returns {Promise<void>} Resolves once every subscriber has been notified
+     */
+    async refreshBatch(symbols) {
+        const size = STOCK_CONFIG.API.BATCH.MAX_SYMBOLS;
+        const chunks = [];
+        for (let i = 0; i < symbols.length; i += size) {
+            chunks.push(symbols.slice(i, i + size));
+        }
+
+        await Promise.all(chunks.map(async chunk => {
+            let quotes = new Map();
+
+            if (chunk.length > 1) {
+                try {
+                    quotes = await this.getQuotes(chunk);
+                } catch (error) {
+                    Utils.log('warn', `Batch quote request for ${chunk.length} symbols failed`, error.message);
+                }
+            }
+
+            chunk.forEach(symbol => {
+                if (quotes.has(symbol)) {
+                    this.publish(symbol, { quote: quotes.get(symbol) });
+                }
+            });
+
+            const missing = chunk.filter(symbol => !quotes.has(symbol));
+            if (chunk.length > 1 && missing.length > 0 && quotes.size > 0) {
+                Utils.log('warn', `Batch quote request missed ${missing.join(', ')}; requesting individually`);
+            }
+            await this.refreshEach(missing);
+        }));
+    }
+
+    /**
+     * Refresh every symbol that has subscribers
+     * @param {Object} options - { force } to bypass the cache, as polling timers do
+     * @returns {Promise<void>} Resolves once every subscriber has been notified
+     */
+    async refreshAll(options = {}) {
+        await this.refresh(Array.from(this.subscribers.keys()), options);
+
+        // Cache effectiveness per cycle in debug mode, not just at the periodic cleanup
+        Utils.log('info', 'Data cache stats', this.cache.getStats());
+    }
+
+    /**
+     * Publish a symbol's cached quote if it is still fresh
+     * @param {string} symbol - Upper-case symbol
+     * @returns {boolean} Whether a cached quote was published
+     */
+    publishCached(symbol) {
+        const quote = this.cache.get('quote', symbol);
+        if (quote === undefined) return false;
+
+        this.quotes.set(symbol, quote);
+        this.publish(symbol, { quote });
+        return true;
+    }
+
+    publish(symbol, update) {
+        const callbacks = this.subscribers.get(symbol);
+        if (!callbacks) return;
+
+        callbacks.forEach(callback => {
+            try {
+                callback({ symbol, quote: null, error: null, ...update });
+            } catch (error) {
+                Utils.log('error', `Quote subscriber for ${symbol} failed`, error);
+            }
+        });
+    }
+
+    // ==================== ENDPOINTS ====================
+
+    /**
+     * Current quote with intraday chart data, from the cache while fresh
+     * @param {string} symbol - Stock or index symbol
+     * @returns {Promise<Object>} Canonical quote
+     */
+    async getQuote(symbol) {
+        const cached = this.cache.get('quote', symbol.toUpperCase());
+        return cached !== undefined ? cached : this.fetchQuote(symbol);
+    }
+
+    /**
+     * Request a quote and cache it
+     * @param {string} symbol - Stock or index symbol
+     * @returns {Promise<Object>} Canonical quote
+     */
+    async fetchQuote(symbol) {
+        const quote = QuoteProviders.toQuote(
+            await this.request(STOCK_CONFIG.API.STOCK_DATA, { symbol }),
+            symbol
+        );
+
+        this.storeQuote(quote);
+        return quote;
+    }
+
+    storeQuote(quote) {
+        this.quotes.set(quote.symbol, quote);
+        this.cache.set('quote', quote.symbol, quote);
+    }
+
+    /**
+     * Quotes for several symbols in one request. The response data may be a list of
+     * quotes or an object keyed by symbol, in the provider's batch format, whose entries
+     * are quotes or per-symbol { success, data, error } envelopes.
+     * @param {Array<string>} symbols - Upper-case symbols
+     * @returns {Promise<Map<string, Object>>} Canonical quotes for the symbols the response covered
+     */
+    async getQuotes(symbols) {
+        const data = await this.request(STOCK_CONFIG.API.STOCK_DATA, { symbols: symbols.join(',') });
+        const quotes = new Map();
+
+        QuoteProviders.toEntries(data).forEach(([symbol, entry]) => {
+            if (!symbol || !entry || entry.success === false || entry.error) return;
+            if (!symbols.includes(symbol)) return;
+
+            try {
+                const quote = QuoteProviders.toQuote(entry.success === true ? entry.data : entry, symbol);
+                this.storeQuote(quote);
+                quotes.set(symbol, quote);
+            } catch (error) {
+                // Left out, so the symbol is requested on its own
+                Utils.log('debug', `Batch quote for ${symbol} unusable`, error.message);
+            }
+        });
+
+        return quotes;
+    }
+
+    /**
+     * Last quote received for a symbol, without fetching
+     * @param {string} symbol - Stock or index symbol
+     * @returns {Object|null} Canonical quote
+     */
+    getLastQuote(symbol) {
+        return this.quotes.get(symbol.toUpperCase()) || null;
+    }
+
+    /**
+     * Company details for a symbol
+     * @param {string} symbol - Stock symbol
+     * @returns {Promise<Object>} Details as returned by the endpoint
+     */
+    getDetails(symbol) {
+        symbol = symbol.toUpperCase();
+        return this.cached('metadata', `details-${symbol}`, () => this.request(STOCK_CONFIG.API.STOCK_DETAILS, { symbol }));
+    }
+
+    /**
+     * Chart data for a period. Periods kept in the HistoryStore only request the
+     * bars it does not have yet; others go through the DataCache.
+     * @param {string} symbol - Stock or index symbol
+     * @param {string} period - Chart period, e.g. '1M'
+     * @returns {Promise<Array|Object>} Chart data accepted by ChartManager.normalizeData
+     */
+    getHistory(symbol, period) {
+        symbol = symbol.toUpperCase();
+
+        if (HistoryStore.supports(period)) {
+            return HistoryStore.getInstance().getSeries(symbol, period, ({ interval, start, end }) => this.request(
+                STOCK_CONFIG.API.HISTORICAL_DATA,
+                // Range bounds in Unix seconds
+                { symbol, period, interval, start: Math.floor(start / 1000), end: Math.ceil(end / 1000) }
+            ));
+        }
+
+        return this.cached('history', `${symbol}-${period}`, async () => {
+            const data = await this.request(STOCK_CONFIG.API.HISTORICAL_DATA, { symbol, period });
+
+            if (!data) {
+                throw new Error('No chart data');
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Symbols matching a search query
+     * @param {string} query - Symbol or company name fragment
+     * @returns {Promise<Array<Object>>} Matches { symbol, name }
+     */
+    search(query) {
+        return this.cached('metadata', `search-${query.toLowerCase()}`, async () => {
+            const results = await this.request(STOCK_CONFIG.API.SEARCH, { q: query }, { retries: 1 });
+
+            return (Array.isArray(results) ? results : [])
+                .filter(result => result && result.symbol)
+                .map(result => ({
+                    symbol: String(result.symbol).toUpperCase(),
+                    name: result.name || result.longName || result.shortName || ''
+                }));
+        });
+    }
+
+    /**
+     * Market open/closed status
+     * @returns {Promise<Object>} { status, message }
+     */
+    async getMarketStatus() {
+        const status = await this.request(STOCK_CONFIG.API.MARKET_STATUS);
+        return { status: 'unknown', message: 'Market status unknown', ...status };
+    }
+
+    /**
+     * Whether the backend is reachable and healthy
+     * @returns {Promise<boolean>} True when the health check succeeds
+     */
+    async checkHealth() {
+        try {
+            await this.request(STOCK_CONFIG.API.HEALTH_CHECK, {}, { retries: 1 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ==================== REQUESTS ====================
+
+    /**
+     * Cached value for an entry, or the result of load, which is then cached
+     * @param {string} type - DataCache type
+     * @param {string} id - Entry id within the type
+     * @param {Function} load - Async loader for a miss
+     * @returns {Promise<*>} Value
+     */
+    async cached(type, id, load) {
+        const cached = this.cache.get(type, id);
+        if (cached !== undefined) return cached;
+
+        const value = await load();
+        this.cache.set(type, id, value);
+        return value;
+    }
+
+    /**
+     * GET an endpoint and unwrap its { success, data, error } envelope.
+     * Network errors, timeouts, 429 and 5xx responses are retried; identical
+     * requests already in flight share one response.
+     * @param {string} endpoint - Endpoint URL from STOCK_CONFIG.API
+     * @param {Object} params - Query parameters
+     * @param {Object} options - { timeout, retries, retryDelay } for this request
+     * @returns {Promise<*>} Response data
+     */
+    request(endpoint, params = {}, options = {}) {
+        const query = new URLSearchParams(params).toString();
+        const url = query ? `${endpoint}?${query}` : endpoint;
+
+        if (!this.inflight.has(url)) {
+            const promise = this.fetchJson(url, { ...this.options, ...options })
+                .finally(() => this.inflight.delete(url));
+            this.inflight.set(url, promise);
+        }
+
+        return this.inflight.get(url);
+    }
+
+    /**
+     * JSON request through Utils.makeRequest, which owns the timeout and retry policy
+     * @param {string} url - Request URL
+     * @param {Object} options - { timeout, retries, retryDelay }
+     * @returns {Promise<*>} Response data, or the text of a CSV response
+     */
+    async fetchJson(url, options) {
+        const response = await Utils.makeRequest(url, options);
+
+        // CSV feeds are served bare, without the JSON envelope
+        if (response.contentType.includes('text/csv')) {
+            return response.text;
+        }
+
+        let result;
+        try {
+            result = JSON.parse(response.text);
+        } catch (error) {
+            throw new Error('Invalid JSON response');
+        }
+
+        if (!result || !result.success) {
+            throw new Error((result && result.error) || 'Request failed');
+        }
+
+        return result.data;
+    }
+}
+
+StockDataService.instance = null;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StockDataService;
+} else {
+    window.StockDataService = StockDataService;
+}
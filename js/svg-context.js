@@ -0,0 +1,260 @@
+/**
+ * SVG Context
+ * Records the subset of CanvasRenderingContext2D calls used by the chart painters and
+ * serializes them as SVG, so vector exports come from the same code that paints canvases.
+ */
+
+class SvgContext {
+    /**
+     * @param {number} width - Drawing width in CSS pixels
+     * @param {number} height - Drawing height in CSS pixels
+     * @param {string} idPrefix - Prefix for generated clip and gradient ids, unique per document
+     */
+    constructor(width, height, idPrefix = 'svg') {
+        this.width = width;
+        this.height = height;
+        this.idPrefix = idPrefix;
+        this.defs = [];
+        this.elements = [];
+        this.path = '';
+        this.stack = [];
+        this.idCount = 0;
+        this.measureContext = null;
+
+        // Canvas state
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        this.lineDash = [];
+        this.clipId = null;
+    }
+
+    // ==================== STATE ====================
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineJoin: this.lineJoin,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline,
+            globalAlpha: this.globalAlpha,
+            lineDash: this.lineDash,
+            clipId: this.clipId
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
+    }
+
+    /**
+     * Painters only set the device pixel ratio here; vector output has no use for it
+     */
+    setTransform() {}
+
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    /**
+     * Clearing the whole surface discards everything drawn so far
+     */
+    clearRect(x, y, width, height) {
+        if (x <= 0 && y <= 0 && x + width >= this.width && y + height >= this.height) {
+            this.defs = [];
+            this.elements = [];
+        }
+    }
+
+    measureText(text) {
+        if (!this.measureContext) {
+            this.measureContext = document.createElement('canvas').getContext('2d');
+        }
+
+        this.measureContext.font = this.font;
+        return this.measureContext.measureText(text);
+    }
+
+    createLinearGradient(x1, y1, x2, y2) {
+        return {
+            id: this.nextId('gradient'),
+            coords: { x1, y1, x2, y2 },
+            stops: [],
+            addColorStop(offset, color) {
+                this.stops.push({ offset, color });
+            }
+        };
+    }
+
+    // ==================== PATHS ====================
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        this.path += `M${SvgContext.round(x)} ${SvgContext.round(y)}`;
+    }
+
+    lineTo(x, y) {
+        this.path += `L${SvgContext.round(x)} ${SvgContext.round(y)}`;
+    }
+
+    rect(x, y, width, height) {
+        this.path += `M${SvgContext.round(x)} ${SvgContext.round(y)}h${SvgContext.round(width)}v${SvgContext.round(height)}h${SvgContext.round(-width)}Z`;
+    }
+
+    /**
+     * Circular arc; like canvas, it is joined to the current path with a line
+     */
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const pointAt = angle => `${SvgContext.round(x + radius * Math.cos(angle))} ${SvgContext.round(y + radius * Math.sin(angle))}`;
+        const sweep = counterclockwise ? 0 : 1;
+        const arcTo = (angle, large) => `A${SvgContext.round(radius)} ${SvgContext.round(radius)} 0 ${large} ${sweep} ${pointAt(angle)}`;
+        const span = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+
+        this.path += `${this.path ? 'L' : 'M'}${pointAt(startAngle)}`;
+
+        if (span >= Math.PI * 2) {
+            // SVG arcs cannot end where they start; draw a full circle as two halves
+            const half = counterclockwise ? -Math.PI : Math.PI;
+            this.path += `${arcTo(startAngle + half, 0)}${arcTo(startAngle, 0)}`;
+        } else {
+            const sweepAngle = ((span % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+            this.path += arcTo(endAngle, sweepAngle > Math.PI ? 1 : 0);
+        }
+    }
+
+    closePath() {
+        this.path += 'Z';
+    }
+
+    clip() {
+        const id = this.nextId('clip');
+        this.defs.push(`<clipPath id="${id}"><path d="${this.path}"/></clipPath>`);
+        this.clipId = id;
+    }
+
+    stroke() {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" fill="none" ${this.getStrokeAttributes()}${this.getCommonAttributes()}/>`);
+    }
+
+    fill() {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" fill="${this.resolvePaint(this.fillStyle)}"${this.getCommonAttributes()}/>`);
+    }
+
+    // ==================== SHAPES & TEXT ====================
+
+    fillRect(x, y, width, height) {
+        this.elements.push(`<rect ${SvgContext.getRectAttributes(x, y, width, height)} fill="${this.resolvePaint(this.fillStyle)}"${this.getCommonAttributes()}/>`);
+    }
+
+    strokeRect(x, y, width, height) {
+        this.elements.push(`<rect ${SvgContext.getRectAttributes(x, y, width, height)} fill="none" ${this.getStrokeAttributes()}${this.getCommonAttributes()}/>`);
+    }
+
+    fillText(text, x, y) {
+        const anchors = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+        const baselines = { top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', alphabetic: 'alphabetic' };
+
+        this.elements.push(
+            `<text x="${SvgContext.round(x)}" y="${SvgContext.round(y)}" fill="${this.resolvePaint(this.fillStyle)}" ` +
+            `style="font: ${SvgContext.escape(this.font)}" text-anchor="${anchors[this.textAlign] || 'start'}" ` +
+            `dominant-baseline="${baselines[this.textBaseline] || 'alphabetic'}"${this.getCommonAttributes()}>` +
+            `${SvgContext.escape(String(text))}</text>`
+        );
+    }
+
+    // ==================== SERIALIZATION ====================
+
+    /**
+     * Definitions and elements recorded so far, for embedding in a larger document
+     * @returns {string} SVG markup fragment
+     */
+    getMarkup() {
+        return `${this.defs.length > 0 ? `<defs>${this.defs.join('')}</defs>` : ''}${this.elements.join('\n')}`;
+    }
+
+    /**
+     * Standalone SVG document
+     * @returns {string} SVG markup
+     */
+    toString() {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+            `viewBox="0 0 ${this.width} ${this.height}">${this.getMarkup()}</svg>`;
+    }
+
+    // ==================== HELPERS ====================
+
+    nextId(kind) {
+        return `${this.idPrefix}-${kind}-${++this.idCount}`;
+    }
+
+    /**
+     * Paint value for an attribute; gradients are written to defs on first use
+     * @param {string|Object} paint - CSS color or gradient from createLinearGradient
+     * @returns {string} Attribute value
+     */
+    resolvePaint(paint) {
+        if (typeof paint === 'string') return SvgContext.escape(paint);
+
+        if (!paint.written) {
+            const { x1, y1, x2, y2 } = paint.coords;
+            const stops = paint.stops.map(stop => `<stop offset="${stop.offset}" stop-color="${SvgContext.escape(stop.color)}"/>`).join('');
+            this.defs.push(`<linearGradient id="${paint.id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`);
+            paint.written = true;
+        }
+
+        return `url(#${paint.id})`;
+    }
+
+    getStrokeAttributes() {
+        const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+        return `stroke="${this.resolvePaint(this.strokeStyle)}" stroke-width="${this.lineWidth}" stroke-linejoin="${this.lineJoin}"${dash}`;
+    }
+
+    /**
+     * Opacity and clip attributes, each with a leading space, or an empty string
+     * @returns {string} Attribute markup
+     */
+    getCommonAttributes() {
+        const opacity = this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+        const clip = this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+        return `${opacity}${clip}`;
+    }
+
+    static getRectAttributes(x, y, width, height) {
+        // Canvas accepts negative sizes, SVG does not
+        const left = Math.min(x, x + width);
+        const top = Math.min(y, y + height);
+        return `x="${SvgContext.round(left)}" y="${SvgContext.round(top)}" width="${SvgContext.round(Math.abs(width))}" height="${SvgContext.round(Math.abs(height))}"`;
+    }
+
+    static round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgContext;
+} else {
+    window.SvgContext = SvgContext;
+}
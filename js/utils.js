@@ -779,58 +779,53 @@ class Utils {
     
     /**
      * Make HTTP request with retry logic
+     * Network errors, timeouts, 429 and 5xx responses are retried after
+     * retryDelay × attempt; other failures reject at once. Rejections carry
+     * `status` (0 without a response) and `retryable`.
      * @param {string} url - Request URL
-     * @param {Object} options - Request options
-     * @returns {Promise} Request promise
+     * @param {Object} options - Request options { method, headers, data, timeout, retries, retryDelay }
+     * @returns {Promise} Request promise resolving to { data, xml, text, status, headers, contentType }
      */
     static makeRequest(url, options = {}) {
         return new Promise((resolve, reject) => {
             let attempts = 0;
             const maxAttempts = options.retries || STOCK_CONFIG.API.RETRY_ATTEMPTS;
+            const retryDelay = options.retryDelay || STOCK_CONFIG.API.RETRY_DELAY;
+            
+            const fail = (message, status, retryable) => {
+                if (retryable && attempts < maxAttempts) {
+                    this.log('warn', `Retrying ${url} (attempt ${attempts + 1} of ${maxAttempts})`, message);
+                    setTimeout(attemptRequest, retryDelay * attempts);
+                    return;
+                }
+                
+                const error = new Error(message);
+                error.status = status;
+                error.retryable = retryable;
+                reject(error);
+            };
             
             const attemptRequest = () => {
                 attempts++;
                 const xhr = this.createXHR(options);
                 
-                xhr.onreadystatechange = () => {
-                    if (xhr.readyState === 4) {
-                        if (xhr.status >= 200 && xhr.status < 300) {
-                            resolve({
-                                data: xhr.response,
-                                xml: xhr.responseXML,
-                                text: xhr.responseText,
-                                status: xhr.status,
-                                headers: xhr.getAllResponseHeaders()
-                            });
-                        } else if (attempts < maxAttempts) {
-                            // Retry after delay
-                            const delay = options.retryDelay || STOCK_CONFIG.API.RETRY_DELAY;
-                            setTimeout(attemptRequest, delay * attempts);
-                        } else {
-                            reject(new Error(`HTTP ${xhr.status}: ${xhr.statusText}`));
-                        }
-                    }
-                };
-                
-                xhr.onerror = () => {
-                    if (attempts < maxAttempts) {
-                        // Retry after delay
-                        const delay = options.retryDelay || STOCK_CONFIG.API.RETRY_DELAY;
-                        setTimeout(attemptRequest, delay * attempts);
+                xhr.onload = () => {
+                    if (xhr.status >= 200 && xhr.status < 300) {
+                        resolve({
+                            data: xhr.response,
+                            xml: xhr.responseXML,
+                            text: xhr.responseText,
+                            status: xhr.status,
+                            headers: xhr.getAllResponseHeaders(),
+                            contentType: xhr.getResponseHeader('Content-Type') || ''
+                        });
                     } else {
-                        reject(new Error('Network error occurred'));
+                        fail(`HTTP ${xhr.status}: ${xhr.statusText}`, xhr.status, xhr.status === 429 || xhr.status >= 500);
                     }
                 };
                 
-                xhr.ontimeout = () => {
-                    if (attempts < maxAttempts) {
-                        // Retry after delay
-                        const delay = options.retryDelay || STOCK_CONFIG.API.RETRY_DELAY;
-                        setTimeout(attemptRequest, delay * attempts);
-                    } else {
-                        reject(new Error('Request timeout'));
-                    }
-                };
+                xhr.onerror = () => fail('Network error occurred', 0, true);
+                xhr.ontimeout = () => fail('Request timeout', 0, true);
                 
                 // Open request
                 xhr.open(options.method || 'GET', url, true);